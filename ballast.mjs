@@ -0,0 +1,151 @@
+import { Hydrostatics, solveLinearSystem } from './hydrostatics.mjs';
+
+// ========================================
+// AUTO-BALLAST
+// Suggests tank fill levels that float the barge level. The barge is level when G, plus any
+// wind heeling arm, sits directly over the center of buoyancy of the upright barge at the draft
+// that floats it (or, on the seabed, over buoyancy and the seabed's push together). Starting
+// from the current fills, each step changes the fills as little as possible (a minimum-norm
+// Gauss-Newton step) so the suggestion stays close to what is loaded. Levelling G over B says
+// nothing of stability, and slack tanks' free surface can leave the barge unstable upright, so
+// the fills found are only suggested if the barge, solved with them, ends up closer to level.
+// Units are ft, lbs and lb/ft³, as in hydrostatics.mjs.
+// ========================================
+export const BALLAST_MAX_ITERATIONS = 30;
+export const BALLAST_TOLERANCE = 1e-4;
+export const BALLAST_FILL_STEP = 1e-3;
+
+// Equilibrium of the barge with the given fills, and heel and trim together in radians.
+function solveWithFills(description, fills, guess) {
+    const hydrostatics = new Hydrostatics({
+        ...description,
+        tanks: description.tanks.map((tank, i) => ({ ...tank, fill: fills[i] }))
+    });
+    const equilibrium = hydrostatics.solveEquilibrium(guess);
+    return { equilibrium, floating: equilibrium.converged && !equilibrium.isSinking, tilt: Math.hypot(equilibrium.tiltX, equilibrium.tiltZ) };
+}
+
+// How far, in ft along X and Z, the barge is from floating level with the given fills;
+// null once it no longer floats.
+function levelOffset(description, fills, draftGuess) {
+    const hydrostatics = new Hydrostatics({
+        ...description,
+        tanks: description.tanks.map((tank, i) => ({ ...tank, fill: fills[i] }))
+    });
+    if (hydrostatics.weight <= 0 || !hydrostatics.canSupport(hydrostatics.weight)) return null;
+
+    const { draft, support } = hydrostatics.solveDraft(0, 0, hydrostatics.weight, draftGuess);
+    const arm = hydrostatics.calculateWindLoad().heelingArm;
+    return {
+        draft,
+        residual: [
+            hydrostatics.centerGravity.x + arm.x - support.center.x,
+            hydrostatics.centerGravity.z + arm.z - support.center.z
+        ]
+    };
+}
+
+// delta = Jᵀ (J Jᵀ)⁻¹ (-r) over the given columns of J, lightly damped in case J is rank-deficient
+// (one tank, or tanks all in a line).
+function minimumNormStep(columns, residual) {
+    const product = [[0, 0], [0, 0]];
+    for (let column of columns) {
+        for (let row = 0; row < 2; row++) {
+            for (let k = 0; k < 2; k++) {
+                product[row][k] += column.slope[row] * column.slope[k];
+            }
+        }
+    }
+    const damping = 1e-9 * (product[0][0] + product[1][1]) + 1e-12;
+    product[0][0] += damping;
+    product[1][1] += damping;
+
+    const multipliers = solveLinearSystem(product, residual.map(value => -value)) || [0, 0];
+    return columns.map(column => column.slope[0] * multipliers[0] + column.slope[1] * multipliers[1]);
+}
+
+// description is a Hydrostatics description with at least one tank, and guess an optional
+// starting point for solveEquilibrium(). Returns the suggested fill for each tank, in the same
+// order, whether they bring the barge level, and result, the equilibrium with those fills. When
+// the tanks cannot level it (too small, or all on one side) the fills are the closest the search
+// got. rejected is 'listing' when those fills would leave the barge further from level than it
+// is, or 'noEquilibrium' when it floats now but would not with them; the fills and result are
+// then the current ones.
+export function suggestBallast(description, guess) {
+    const startFills = description.tanks.map(tank => Math.max(0, Math.min(1, tank.fill)));
+    let fills = startFills;
+    const suggestion = { fills, converged: false, rejected: null, result: null };
+    if (fills.length === 0) {
+        suggestion.result = solveWithFills(description, fills, guess).equilibrium;
+        return suggestion;
+    }
+
+    let current = levelOffset(description, fills, 0);
+    for (let iteration = 0; current && iteration < BALLAST_MAX_ITERATIONS; iteration++) {
+        if (Math.hypot(...current.residual) < BALLAST_TOLERANCE) break;
+
+        let columns = [];
+        for (let i = 0; i < fills.length; i++) {
+            const step = fills[i] < 1 ? BALLAST_FILL_STEP : -BALLAST_FILL_STEP;
+            const shifted = [...fills];
+            shifted[i] += step;
+            const offset = levelOffset(description, shifted, current.draft);
+            if (!offset) continue;
+            columns.push({
+                index: i,
+                slope: offset.residual.map((value, row) => (value - current.residual[row]) / step)
+            });
+        }
+
+        // Tanks already empty or full that the step would push further are held where they are
+        let deltas = null;
+        while (columns.length > 0) {
+            deltas = minimumNormStep(columns, current.residual);
+            const blocked = columns.filter((column, i) =>
+                (fills[column.index] <= 0 && deltas[i] < 0) || (fills[column.index] >= 1 && deltas[i] > 0));
+            if (blocked.length === 0) break;
+            columns = columns.filter(column => !blocked.includes(column));
+            deltas = null;
+        }
+        if (!deltas) break;
+
+        // Halve the step until it actually brings the barge closer to level
+        let accepted = null;
+        for (let scale = 1; scale > 1e-3 && !accepted; scale /= 2) {
+            const next = [...fills];
+            columns.forEach((column, i) => {
+                next[column.index] = Math.max(0, Math.min(1, fills[column.index] + deltas[i] * scale));
+            });
+            const offset = levelOffset(description, next, current.draft);
+            if (offset && Math.hypot(...offset.residual) < Math.hypot(...current.residual)) {
+                accepted = { fills: next, offset };
+            }
+        }
+        if (!accepted) break;
+
+        fills = accepted.fills;
+        current = accepted.offset;
+    }
+
+    suggestion.fills = fills;
+    suggestion.converged = current !== null && Math.hypot(...current.residual) < BALLAST_TOLERANCE;
+
+    // Fills that float the barge level need no comparing with the current ones
+    const solved = solveWithFills(description, fills, guess);
+    suggestion.result = solved.equilibrium;
+    if (solved.floating && solved.tilt <= BALLAST_TOLERANCE) return suggestion;
+
+    const start = fills === startFills ? solved : solveWithFills(description, startFills, guess);
+    if (!start.floating) return suggestion;
+    if (!solved.floating) {
+        suggestion.rejected = 'noEquilibrium';
+    } else if (solved.tilt > start.tilt + BALLAST_TOLERANCE) {
+        suggestion.rejected = 'listing';
+    } else {
+        return suggestion;
+    }
+    suggestion.fills = startFills;
+    suggestion.converged = false;
+    suggestion.result = start.equilibrium;
+    return suggestion;
+}
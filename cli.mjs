@@ -0,0 +1,216 @@
+// ========================================
+// COMMAND LINE RUNNER
+// Solves saved barge projects without the browser:
+//     node cli.mjs <project.json> [more.json ...] [--json]
+// Prints draft, heel, trim, center of flotation, damage, wind heeling, wave response,
+// under-keel clearance and grounding, longitudinal strength, the project's stability criteria and its load stages for each file, as
+// text or as JSON (an array when more than one file is given).
+// Units are ft, lbs and degrees.
+// ========================================
+import { readFile } from 'node:fs/promises';
+import { Hydrostatics } from './hydrostatics.mjs';
+import { parseProject, projectToHydrostatics } from './project.mjs';
+import { CRITERIA_METRICS, measureCriteria, evaluateCriteria } from './criteria.mjs';
+import { calculateLongitudinalStrength, checkJoints } from './strength.mjs';
+import { solveStages } from './stages.mjs';
+import { calculateWaveResponse } from './waves.mjs';
+
+const USAGE = 'Usage: node cli.mjs <project.json> [more.json ...] [--json]';
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+function solveProject(file, project) {
+    const hydrostatics = new Hydrostatics(projectToHydrostatics(project));
+    const equilibrium = hydrostatics.solveEquilibrium({ tiltX: 0, tiltZ: 0, draft: 0 });
+
+    let status = 'converged';
+    if (equilibrium.isSinking) {
+        status = 'sinking';
+    } else if (!equilibrium.converged) {
+        status = 'not found';
+    }
+
+    const criteria = evaluateCriteria(project.criteria, measureCriteria(hydrostatics, equilibrium));
+    const windLoad = hydrostatics.calculateWindLoad();
+    const strength = status === 'converged' ? calculateLongitudinalStrength(hydrostatics, equilibrium) : null;
+    const waveResponse = project.wave.height > 0 ? calculateWaveResponse(projectToHydrostatics(project), project.wave) : null;
+    const keelClearances = status === 'converged' && project.seabed.type !== 'none'
+        ? hydrostatics.calculateKeelClearances(hydrostatics.getWaterline(equilibrium.draft, equilibrium.tiltX, equilibrium.tiltZ))
+        : null;
+
+    return {
+        file,
+        equilibrium: status,
+        weight: hydrostatics.weight,
+        displacement: equilibrium.displacement,
+        draft: equilibrium.draft,
+        heel: toDegrees(equilibrium.tiltX),
+        trim: toDegrees(equilibrium.tiltZ),
+        centerFlotation: { x: hydrostatics.centerFlotation.x, z: hydrostatics.centerFlotation.z },
+        flooded: project.floats.filter(float => float.flooded).map(float => ({ id: float.id, permeability: float.permeability })),
+        wind: {
+            speed: project.wind.speed,
+            direction: project.wind.direction,
+            area: windLoad.area,
+            heelingMoment: windLoad.moment,
+            heelingArm: Math.hypot(windLoad.heelingArm.x, windLoad.heelingArm.z)
+        },
+        wave: waveResponse && {
+            height: project.wave.height,
+            period: project.wave.period,
+            heading: project.wave.heading,
+            length: waveResponse.length,
+            floating: waveResponse.floating,
+            heel: { min: toDegrees(waveResponse.heel.min), max: toDegrees(waveResponse.heel.max) },
+            trim: { min: toDegrees(waveResponse.trim.min), max: toDegrees(waveResponse.trim.max) },
+            minFreeboard: waveResponse.minFreeboard
+        },
+        seabed: project.seabed.type === 'none' ? null : {
+            ...project.seabed,
+            clearance: keelClearances && Math.min(...keelClearances.map(corner => corner.clearance)),
+            groundReaction: equilibrium.groundReaction,
+            grounded: keelClearances
+                ? project.floats.filter((float, i) => keelClearances.some(corner => corner.float === i && corner.clearance < 0)).map(float => float.id)
+                : []
+        },
+        strength: strength && {
+            maxShear: strength.maxShear,
+            maxMoment: strength.maxMoment,
+            joints: checkJoints(strength.joints, project.floats.map(float => float.connector)).map(joint => ({
+                floats: [project.floats[joint.aft].id, project.floats[joint.fore].id],
+                x: joint.x,
+                shear: joint.shear,
+                moment: joint.moment,
+                capacity: joint.capacity,
+                utilization: joint.utilization,
+                passed: joint.passed
+            }))
+        },
+        criteria: criteria.map(result => ({
+            criterion: result.label,
+            metric: result.rule.metric,
+            bound: CRITERIA_METRICS[result.rule.metric].bound,
+            limit: result.rule.limit,
+            value: result.value,
+            margin: result.margin,
+            passed: result.passed
+        })),
+        stages: solveStages(project).map(stage => ({
+            name: stage.name,
+            equilibrium: stage.status,
+            draft: stage.draft,
+            heel: toDegrees(stage.tiltX),
+            trim: toDegrees(stage.tiltZ),
+            failed: stage.criteria.filter(result => !result.passed).map(result => result.label),
+            passed: stage.passed
+        }))
+    };
+}
+
+function formatWave(wave) {
+    const sea = `${wave.height.toFixed(2)} ft, ${wave.period.toFixed(1)} s toward ${wave.heading.toFixed(0)}° ` +
+        `(${wave.length.toFixed(0)} ft long)`;
+    if (!wave.floating) return `${sea}, no equilibrium on part of the wave`;
+    return `${sea}, heel ${wave.heel.min.toFixed(2)}° to ${wave.heel.max.toFixed(2)}°, ` +
+        `trim ${wave.trim.min.toFixed(2)}° to ${wave.trim.max.toFixed(2)}°, ` +
+        `min freeboard ${wave.minFreeboard.toFixed(2)} ft${wave.minFreeboard < 0 ? ' (deck wet)' : ''}`;
+}
+
+function formatSeabed(seabed) {
+    const bottom = seabed.type === 'ramp'
+        ? `ramp ${seabed.depth.toFixed(2)} ft deep at the origin, rising ${seabed.slope.toFixed(1)}° toward ${seabed.heading.toFixed(0)}°`
+        : `flat ${seabed.depth.toFixed(2)} ft deep`;
+    if (seabed.clearance === null) return `${bottom}, no equilibrium`;
+    if (seabed.groundReaction > 0) {
+        return `${bottom}, GROUNDED on float${seabed.grounded.length === 1 ? '' : 's'} ${seabed.grounded.join(', ')}, ` +
+            `seabed reaction ${seabed.groundReaction.toFixed(0)} lbs`;
+    }
+    return `${bottom}, under-keel clearance ${seabed.clearance.toFixed(2)} ft`;
+}
+
+function formatStage(stage) {
+    if (stage.equilibrium !== 'converged') {
+        return `    FAIL ${stage.name}: ${stage.equilibrium === 'sinking' ? 'sinking' : 'no equilibrium'}`;
+    }
+    const values = `draft ${stage.draft.toFixed(2)} ft, heel ${stage.heel.toFixed(2)}°, trim ${stage.trim.toFixed(2)}°`;
+    return stage.passed
+        ? `    pass ${stage.name}: ${values}`
+        : `    FAIL ${stage.name}: ${values}, failed ${stage.failed.join(', ')}`;
+}
+
+function formatCriterion(criterion) {
+    const unit = CRITERIA_METRICS[criterion.metric].quantity === 'angle' ? '°' : ' ft';
+    const limit = `${criterion.bound === 'min' ? '>=' : '<='} ${criterion.limit.toFixed(2)}${unit}`;
+    if (criterion.value === null) {
+        return `    FAIL ${criterion.criterion} ${limit}: no equilibrium`;
+    }
+
+    const value = `${criterion.value.toFixed(2)}${unit}`;
+    return criterion.passed
+        ? `    pass ${criterion.criterion} ${limit}: ${value}`
+        : `    FAIL ${criterion.criterion} ${limit}: ${value}, by ${(-criterion.margin).toFixed(2)}${unit}`;
+}
+
+function formatResult(result) {
+    const failed = result.criteria.filter(criterion => !criterion.passed).length;
+    return [
+        `${result.file}`,
+        `  Equilibrium:         ${result.equilibrium}`,
+        `  Displacement:        ${result.displacement.toFixed(0)} lbs`,
+        `  Draft:               ${result.draft.toFixed(2)} ft`,
+        `  Heel:                ${result.heel.toFixed(2)}°`,
+        `  Trim:                ${result.trim.toFixed(2)}°`,
+        `  Center of flotation: X ${result.centerFlotation.x.toFixed(2)} ft, Z ${result.centerFlotation.z.toFixed(2)} ft`,
+        `  Damage:              ${result.flooded.length > 0
+            ? result.flooded.map(float => `float ${float.id} flooded (${(float.permeability * 100).toFixed(0)}%)`).join(', ')
+            : 'intact'}`,
+        `  Wind:                ${result.wind.speed > 0
+            ? `${result.wind.speed.toFixed(1)} kn toward ${result.wind.direction.toFixed(0)}°, ` +
+                `${result.wind.area.toFixed(0)} ft², heeling arm ${result.wind.heelingArm.toFixed(3)} ft`
+            : 'none'}`,
+        `  Waves:               ${result.wave ? formatWave(result.wave) : 'still water'}`,
+        `  Seabed:              ${result.seabed ? formatSeabed(result.seabed) : 'deep water'}`,
+        `  Strength:            ${result.strength
+            ? `max shear ${Math.abs(result.strength.maxShear.value).toFixed(0)} lbs, ` +
+                `max moment ${Math.abs(result.strength.maxMoment.value).toFixed(0)} lb·ft, ` +
+                `${result.strength.joints.filter(joint => !joint.passed).length} of ${result.strength.joints.length} joints over capacity`
+            : 'no equilibrium'}`,
+        `  Criteria:            ${failed === 0 ? 'pass' : `${failed} of ${result.criteria.length} failed`}`,
+        ...result.criteria.map(formatCriterion),
+        ...(result.stages.length > 0 ? [
+            `  Stages:              ${result.stages.filter(stage => !stage.passed).length} of ${result.stages.length} failed`,
+            ...result.stages.map(formatStage)
+        ] : [])
+    ].join('\n');
+}
+
+async function main(args) {
+    const asJSON = args.includes('--json');
+    const files = args.filter(arg => arg !== '--json');
+    if (files.length === 0 || files.some(file => file.startsWith('--'))) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const results = [];
+    for (let file of files) {
+        try {
+            const project = parseProject(await readFile(file, 'utf8'));
+            results.push(solveProject(file, project));
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            return 1;
+        }
+    }
+
+    if (asJSON) {
+        console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+    } else {
+        console.log(results.map(formatResult).join('\n\n'));
+    }
+    return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,142 @@
+// ========================================
+// STABILITY CRITERIA
+// A criteria set is a list of limits checked against the solved barge:
+// {
+//     preset: 'harbour',             preset the rules came from, or 'custom' once edited
+//     rules: [{ metric: 'GMt', limit: 1.0, enabled: true }]
+// }
+// Limits use the model units (ft, degrees). Each metric is either a minimum
+// (the value must not fall below the limit) or a maximum.
+// ========================================
+export const CRITERIA_METRICS = {
+    GMt: { label: 'Transverse GM', quantity: 'length', bound: 'min' },
+    GMl: { label: 'Longitudinal GM', quantity: 'length', bound: 'min' },
+    heel: { label: 'Heel', quantity: 'angle', bound: 'max' },
+    trim: { label: 'Trim', quantity: 'angle', bound: 'max' },
+    freeboard: { label: 'Freeboard', quantity: 'length', bound: 'min' },
+    deckEdgeMargin: { label: 'Deck-edge margin', quantity: 'angle', bound: 'min' }
+};
+
+// Heel at which a deck edge that stays dry through the whole search is taken to go under.
+export const DECK_EDGE_MAX_ANGLE = 60;
+
+export const CRITERIA_PRESETS = {
+    harbour: {
+        label: 'Harbour',
+        rules: [
+            { metric: 'GMt', limit: 1.0 },
+            { metric: 'heel', limit: 5 },
+            { metric: 'trim', limit: 3 },
+            { metric: 'freeboard', limit: 1.0 },
+            { metric: 'deckEdgeMargin', limit: 3 }
+        ]
+    },
+    sheltered: {
+        label: 'Sheltered water',
+        rules: [
+            { metric: 'GMt', limit: 0.5 },
+            { metric: 'heel', limit: 7 },
+            { metric: 'trim', limit: 5 },
+            { metric: 'freeboard', limit: 0.5 },
+            { metric: 'deckEdgeMargin', limit: 5 }
+        ]
+    },
+    openWater: {
+        label: 'Open water',
+        rules: [
+            { metric: 'GMt', limit: 2.0 },
+            { metric: 'GMl', limit: 2.0 },
+            { metric: 'heel', limit: 3 },
+            { metric: 'trim', limit: 2 },
+            { metric: 'freeboard', limit: 2.0 },
+            { metric: 'deckEdgeMargin', limit: 8 }
+        ]
+    }
+};
+
+export const DEFAULT_CRITERIA_PRESET = 'harbour';
+
+export function createCriteria(preset = DEFAULT_CRITERIA_PRESET) {
+    return {
+        preset,
+        rules: CRITERIA_PRESETS[preset].rules.map(rule => ({ ...rule, enabled: true }))
+    };
+}
+
+// Values the criteria are checked against, from a solved equilibrium { tiltX, tiltZ, draft, converged,
+// isSinking }. Without a floating equilibrium there is nothing to measure, so every value is null.
+// deckEdgeMargin is how much further the barge can heel before a deck edge goes under, measured
+// from the deck-edge immersion angle of the heel GZ curve; negative once it is under.
+export function measureCriteria(hydrostatics, equilibrium) {
+    if (!equilibrium.converged || equilibrium.isSinking) {
+        return Object.fromEntries(Object.keys(CRITERIA_METRICS).map(metric => [metric, null]));
+    }
+
+    const stability = hydrostatics.calculateMetacentricHeight(equilibrium.draft);
+    const waterline = hydrostatics.getWaterline(equilibrium.draft, equilibrium.tiltX, equilibrium.tiltZ);
+    const deckEdgeAngle = hydrostatics.calculateDeckEdgeAngle(equilibrium, 'heel', DECK_EDGE_MAX_ANGLE);
+    const heel = Math.abs(equilibrium.tiltX) * 180 / Math.PI;
+    return {
+        GMt: stability.GMt,
+        GMl: stability.GMl,
+        heel,
+        trim: Math.abs(equilibrium.tiltZ) * 180 / Math.PI,
+        freeboard: hydrostatics.calculateMinDeckHeight(waterline),
+        deckEdgeMargin: (deckEdgeAngle === null ? DECK_EDGE_MAX_ANGLE : deckEdgeAngle) - heel
+    };
+}
+
+// The limit the enabled rules on a metric set, the strictest if there are several, or null
+// if none is enabled.
+export function getCriterionLimit(criteria, metric) {
+    const limits = criteria.rules.filter(rule => rule.enabled && rule.metric === metric).map(rule => rule.limit);
+    if (limits.length === 0) return null;
+    return CRITERIA_METRICS[metric].bound === 'min' ? Math.max(...limits) : Math.min(...limits);
+}
+
+// One result per enabled rule. margin is how far the value is inside the limit,
+// so a failed rule has a negative margin equal to the amount it failed by.
+export function evaluateCriteria(criteria, values) {
+    return criteria.rules.filter(rule => rule.enabled).map(rule => {
+        const metric = CRITERIA_METRICS[rule.metric];
+        const value = values[rule.metric];
+        if (value === null || value === undefined) {
+            return { rule, label: metric.label, value: null, margin: null, passed: false };
+        }
+
+        const margin = metric.bound === 'min' ? value - rule.limit : rule.limit - value;
+        return { rule, label: metric.label, value, margin, passed: margin >= 0 };
+    });
+}
+
+export function validateCriteria(criteria, path) {
+    const errors = [];
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+        return [`${path} must be an object with preset and rules`];
+    }
+    if (criteria.preset !== 'custom' && !CRITERIA_PRESETS[criteria.preset]) {
+        errors.push(`${path}.preset must be one of ${[...Object.keys(CRITERIA_PRESETS), 'custom'].join(', ')}`);
+    }
+    if (!Array.isArray(criteria.rules)) {
+        errors.push(`${path}.rules must be a list`);
+        return errors;
+    }
+
+    criteria.rules.forEach((rule, i) => {
+        const rulePath = `${path}.rules[${i}]`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${rulePath} must be an object`);
+            return;
+        }
+        if (!CRITERIA_METRICS[rule.metric]) {
+            errors.push(`${rulePath}.metric must be one of ${Object.keys(CRITERIA_METRICS).join(', ')}`);
+        }
+        if (typeof rule.limit !== 'number' || !isFinite(rule.limit)) {
+            errors.push(`${rulePath}.limit must be a number`);
+        }
+        if (typeof rule.enabled !== 'boolean') {
+            errors.push(`${rulePath}.enabled must be true or false`);
+        }
+    });
+    return errors;
+}
@@ -0,0 +1,181 @@
+// ========================================
+// CSV LOAD LISTS
+// Reading and writing item and float schedules as CSV. Values are plain numbers
+// in the units named in their column header, such as "Weight (kg)", or else in
+// whatever units the user works in; converting them is left to the caller, using
+// each field's quantity and getHeaderUnit().
+// ========================================
+export const CSV_FIELDS = {
+    items: [
+        { key: 'name', label: 'Name', type: 'text', aliases: ['item', 'itemname', 'description', 'load'] },
+        { key: 'weight', label: 'Weight', quantity: 'weight', required: true, bound: 'nonNegative', aliases: ['wt', 'mass'] },
+        { key: 'length', label: 'Length', quantity: 'length', bound: 'positive', aliases: ['l', 'sizex'] },
+        { key: 'width', label: 'Width', quantity: 'length', bound: 'positive', aliases: ['w', 'sizez', 'breadth'] },
+        { key: 'height', label: 'Height', quantity: 'length', bound: 'positive', aliases: ['h', 'sizey'] },
+        { key: 'x', label: 'X', quantity: 'length', required: true, aliases: ['posx', 'positionx'] },
+        { key: 'y', label: 'Y', quantity: 'length', aliases: ['posy', 'positiony'] },
+        { key: 'z', label: 'Z', quantity: 'length', required: true, aliases: ['posz', 'positionz'] },
+        { key: 'cgOffsetX', label: 'CG Offset X', quantity: 'length', aliases: ['cgx'] },
+        { key: 'cgHeight', label: 'CG Height', quantity: 'length', bound: 'nonNegative', aliases: ['cgy', 'vcg'] },
+        { key: 'cgOffsetZ', label: 'CG Offset Z', quantity: 'length', aliases: ['cgz'] },
+        { key: 'color', label: 'Color', type: 'color', aliases: ['colour'] }
+    ],
+    floats: [
+        { key: 'length', label: 'Length', quantity: 'length', required: true, bound: 'positive', aliases: ['l'] },
+        { key: 'width', label: 'Width', quantity: 'length', required: true, bound: 'positive', aliases: ['w', 'breadth', 'beam'] },
+        { key: 'height', label: 'Height', quantity: 'length', required: true, bound: 'positive', aliases: ['h', 'depth'] },
+        { key: 'weight', label: 'Weight', quantity: 'weight', required: true, bound: 'nonNegative', aliases: ['wt', 'mass'] },
+        { key: 'x', label: 'X', quantity: 'length', required: true, aliases: ['posx', 'positionx'] },
+        { key: 'y', label: 'Y', quantity: 'length', aliases: ['posy', 'positiony'] },
+        { key: 'z', label: 'Z', quantity: 'length', required: true, aliases: ['posz', 'positionz'] }
+    ]
+};
+
+// Splits CSV text into a header row and data rows. Quoted cells may contain the delimiter,
+// doubled quotes and line breaks. The delimiter is whichever of , ; or tab the header uses most.
+// Each row keeps its 1-based line number in the file so errors can point at it.
+export function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                if (c === '\n') line++;
+                cell += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        } else {
+            cell += c;
+        }
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        records.push({ line: recordLine, cells });
+    }
+
+    const rows = records.filter(record => record.cells.some(value => value.trim() !== ''));
+    if (rows.length === 0) {
+        return { headers: [], rows: [] };
+    }
+    return { headers: rows[0].cells.map(header => header.trim()), rows: rows.slice(1) };
+}
+
+export function formatCSV(rows) {
+    const quote = (value) => {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
+
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+// The unit named in brackets in a column header, "lbs" for "Weight (lbs)", or '' if none.
+export function getHeaderUnit(header) {
+    const match = /\((.*?)\)|\[(.*?)\]/.exec(header || '');
+    return match ? (match[1] !== undefined ? match[1] : match[2]).trim() : '';
+}
+
+// Best guess at which column holds each field, matched on the field name, its label or an alias.
+// Units in brackets are ignored, so "Weight (lbs)" maps to weight. Unmatched fields get -1.
+export function guessColumnMapping(headers, kind) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    for (let field of CSV_FIELDS[kind]) {
+        const names = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+        mapping[field.key] = normalized.findIndex(header => names.includes(header));
+    }
+    return mapping;
+}
+
+// Reads every row through the column mapping. Returns the rows that can be imported as
+// { line, values } with blank optional cells left out, and one message per problem found.
+export function mapCSVRows(table, mapping, kind) {
+    const fields = CSV_FIELDS[kind];
+    const errors = [];
+    const records = [];
+
+    for (let field of fields) {
+        if (field.required && !(mapping[field.key] >= 0)) {
+            errors.push(`${field.label} must be mapped to a column`);
+        }
+    }
+    if (errors.length > 0) return { records, errors };
+    if (table.rows.length === 0) {
+        return { records, errors: ['The file has no data rows'] };
+    }
+
+    for (let row of table.rows) {
+        const values = {};
+        const rowErrors = [];
+
+        for (let field of fields) {
+            const column = mapping[field.key];
+            const cell = column >= 0 && column < row.cells.length ? row.cells[column].trim() : '';
+            if (cell === '') {
+                if (field.required) rowErrors.push(`${field.label} is missing`);
+                continue;
+            }
+
+            if (field.type === 'text') {
+                values[field.key] = cell;
+            } else if (field.type === 'color') {
+                const color = cell.startsWith('#') ? cell : '#' + cell;
+                if (/^#[0-9a-f]{6}$/i.test(color)) {
+                    values[field.key] = color.toLowerCase();
+                } else {
+                    rowErrors.push(`${field.label} "${cell}" is not a hex color like #ff6347`);
+                }
+            } else {
+                const value = Number(cell);
+                if (!isFinite(value)) {
+                    rowErrors.push(`${field.label} "${cell}" is not a number`);
+                } else if (field.bound === 'positive' && value <= 0) {
+                    rowErrors.push(`${field.label} must be greater than zero`);
+                } else if (field.bound === 'nonNegative' && value < 0) {
+                    rowErrors.push(`${field.label} cannot be negative`);
+                } else {
+                    values[field.key] = value;
+                }
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(`Row ${row.line}: ${rowErrors.join('; ')}`);
+        } else {
+            records.push({ line: row.line, values });
+        }
+    }
+
+    return { records, errors };
+}
@@ -0,0 +1,867 @@
+// ========================================
+// HYDROSTATICS
+// Pure stability math with no THREE.js or DOM dependency, shared by the
+// browser app (script.js) and the command line runner (cli.mjs).
+// Units are ft, lbs and lb/ft³; X runs along the barge, Z across it, Y up.
+// ========================================
+export const SUBMERGED_CELLS = 20;
+export const EQUILIBRIUM_MAX_ITERATIONS = 50;
+export const EQUILIBRIUM_WEIGHT_TOLERANCE = 1e-7;
+export const EQUILIBRIUM_LEVER_TOLERANCE = 1e-5;
+export const EQUILIBRIUM_ANGLE_STEP = 1e-5;
+export const EQUILIBRIUM_MAX_ANGLE_STEP = 0.05;
+export const EQUILIBRIUM_MAX_ANGLE = Math.PI / 3;
+export const EQUILIBRIUM_RELAXATION = 0.05;
+export const EQUILIBRIUM_MAX_HALVINGS = 10;
+export const AIR_DENSITY = 0.002377;
+export const KNOTS_TO_FEET_PER_SECOND = 1.68781;
+export const GRAVITY = 32.174;
+export const SEABED_STIFFNESS = 100;
+export const DECK_EDGE_STEP = 5;
+export const DECK_EDGE_TOLERANCE = 1e-4;
+export const DECK_EDGE_MAX_ITERATIONS = 20;
+
+export function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * result[k];
+        }
+        result[row] = sum / a[row][row];
+    }
+    return result;
+}
+
+export function interpolateCrossing(x1, y1, x2, y2) {
+    if (y1 === y2) return x1;
+    return x1 + (x2 - x1) * y1 / (y1 - y2);
+}
+
+export function calculateFloatDraft(float, waterDensity) {
+    const volumeNeeded = float.weight / waterDensity;
+    return volumeNeeded / (float.length * float.width);
+}
+
+// Turns a barge-frame vector into the water frame for a given heel (tiltX) and trim (tiltZ),
+// the same rotation the 3D view applies to the meshes.
+export function rotateToWater(vector, tiltX, tiltZ) {
+    const cosX = Math.cos(-tiltX);
+    const sinX = Math.sin(-tiltX);
+    const cosZ = Math.cos(-tiltZ);
+    const sinZ = Math.sin(-tiltZ);
+
+    const x = vector.x * cosZ - vector.y * sinZ;
+    const y = vector.x * sinZ + vector.y * cosZ;
+    return {
+        x: x,
+        y: y * cosX - vector.z * sinX,
+        z: y * sinX + vector.z * cosX
+    };
+}
+
+// Height of a regular wave above still water at (x, z), by linear (Airy) deep water theory.
+// wave is { height, period, heading, time }: crest to trough in ft, seconds, the direction the
+// waves travel toward (0° along +X, 90° along +Z, as for wind) and the time, with a crest over
+// the origin at time 0. A wave of no height is still water.
+export function waveElevation(wave, x, z) {
+    if (!wave || !(wave.height > 0) || !(wave.period > 0)) return 0;
+    const frequency = 2 * Math.PI / wave.period;
+    const number = frequency * frequency / GRAVITY;
+    const heading = wave.heading * Math.PI / 180;
+    return wave.height / 2 * Math.cos(number * (x * Math.cos(heading) + z * Math.sin(heading)) - frequency * wave.time);
+}
+
+// Crest to crest distance of a deep water wave of the given period.
+export function waveLength(period) {
+    return GRAVITY * period * period / (2 * Math.PI);
+}
+
+// Height of the seabed above still water at (x, z); negative below it. seabed is
+// { type, depth, slope, heading }: type 'none' is deep water, 'flat' lies depth ft below still
+// water everywhere, and 'ramp' is depth ft deep at the origin and rises at slope degrees toward
+// heading (0° along +X, 90° along +Z, as for wind).
+export function seabedElevation(seabed, x, z) {
+    if (!seabed || seabed.type === 'none') return -Infinity;
+    if (seabed.type !== 'ramp') return -seabed.depth;
+    const heading = seabed.heading * Math.PI / 180;
+    return -seabed.depth + Math.tan(seabed.slope * Math.PI / 180) * (x * Math.cos(heading) + z * Math.sin(heading));
+}
+
+// Share of a float's volume that still gives buoyancy. A flooded float is treated by the lost
+// buoyancy method: seawater fills the permeable part of the hull up to the outside waterline,
+// so that part no longer displaces water or contributes to the waterplane, while the float's
+// weight stays as it was.
+export function intactFraction(float) {
+    return 1 - (float.permeability || 0);
+}
+
+// Fluid in a ballast tank { length, width, height, position, fill, density }, where position is
+// the center of the tank box and fill the fraction of its height that is full. The fluid sits
+// level in the upright tank. A partly filled tank adds the second moment of its free surface
+// times the fluid density, transversely and longitudinally; full and empty tanks add none.
+export function calculateTankContents(tank) {
+    const fill = Math.max(0, Math.min(1, tank.fill));
+    const isSlack = fill > 0 && fill < 1;
+    return {
+        weight: tank.length * tank.width * tank.height * fill * tank.density,
+        position: {
+            x: tank.position.x,
+            y: tank.position.y - tank.height / 2 + tank.height * fill / 2,
+            z: tank.position.z
+        },
+        freeSurface: {
+            transverse: isSlack ? tank.density * tank.length * tank.width ** 3 / 12 : 0,
+            longitudinal: isSlack ? tank.density * tank.width * tank.length ** 3 / 12 : 0
+        }
+    };
+}
+
+// ========================================
+// CLASS: Hydrostatics
+// Built from a plain barge description:
+// {
+//     waterDensity: 62.4,
+//     floats: [{ length, width, height, weight, position: { x, y, z },     box center
+//                permeability }],                                         optional, 0 intact to 1 when flooded
+//     loads: [{ weight, position: { x, y, z } }],                          point weights at their CG
+//     tanks: [{ length, width, height, position, fill, density }],         optional, see calculateTankContents()
+//     windage: [{ length, width, height, position: { x, y, z } }],         optional, deck cargo boxes
+//     wind: { speed, direction },                                          optional, knots and degrees
+//     wave: { height, period, heading, time },                             optional, see waveElevation()
+//     seabed: { type, depth, slope, heading }                              optional, see seabedElevation()
+// }
+// Positions are in barge (rest) coordinates. Float length runs along X and width along Z.
+// The wind direction is the way it blows toward: 0° along +X, 90° along +Z.
+// With a wave, each column of a float is submerged to the wave surface above it, and deck
+// corners are measured from it. The wave is placed by rest X and Z, which for the small angles
+// a barge floats at is where the column is over the water; wave pressure beyond the local
+// water height (orbital velocities, diffraction) is left out.
+// A float bottom that reaches into the seabed is pushed back up by it, column by column, as if
+// the seabed were water SEABED_STIFFNESS times as dense. The barge sinks into it only slightly
+// and the push joins buoyancy in the equilibrium, so a grounded barge settles onto the bottom.
+// ========================================
+export class Hydrostatics {
+    constructor(description) {
+        this.waterDensity = description.waterDensity;
+        this.floats = description.floats;
+        this.loads = description.loads || [];
+        this.tanks = description.tanks || [];
+        this.windage = description.windage || [];
+        this.wind = description.wind || { speed: 0, direction: 0 };
+        this.wave = description.wave || null;
+        this.seabed = description.seabed || null;
+        this.windLoad = null;
+
+        this.centerFlotation = this.calculateCenterFlotation();
+        this.keelY = this.getKeelY();
+        this.calculateCenterGravity();
+    }
+
+    calculateCenterFlotation() {
+        let totalArea = 0;
+        let weightedX = 0;
+        let weightedZ = 0;
+
+        for (let float of this.floats) {
+            const area = float.length * float.width * intactFraction(float);
+            totalArea += area;
+            weightedX += float.position.x * area;
+            weightedZ += float.position.z * area;
+        }
+
+        if (totalArea === 0) return { x: 0, y: 0, z: 0 };
+        return { x: weightedX / totalArea, y: 0, z: weightedZ / totalArea };
+    }
+
+    calculateArea() {
+        let totalArea = 0;
+        for (let float of this.floats) {
+            totalArea += float.length * float.width;
+        }
+        return totalArea;
+    }
+
+    calculateVolume() {
+        let volume = 0;
+        for (let float of this.floats) {
+            volume += float.length * float.width * float.height * intactFraction(float);
+        }
+        return volume;
+    }
+
+    calculateMaxDisplacement() {
+        return this.calculateVolume() * this.waterDensity;
+    }
+
+    // Whether the barge can hold up a weight without going under: buoyancy, plus the seabed's
+    // push where it is shallow enough to reach, must carry it before the upright barge is awash
+    // to the deck. With no seabed this is weight below the maximum displacement.
+    canSupport(weight) {
+        return this.calculateSupport(this.getWaterline(this.getMaxDraft(), 0, 0)).force > weight;
+    }
+
+    calculateCenterGravity() {
+        let totalWeight = 0;
+        let momentX = 0;
+        let momentY = 0;
+        let momentZ = 0;
+
+        const contents = this.tanks.map(calculateTankContents);
+        for (let part of [...this.floats, ...this.loads, ...contents]) {
+            totalWeight += part.weight;
+            momentX += part.position.x * part.weight;
+            momentY += part.position.y * part.weight;
+            momentZ += part.position.z * part.weight;
+        }
+
+        this.weight = totalWeight;
+        this.centerGravity = totalWeight > 0
+            ? { x: momentX / totalWeight, y: momentY / totalWeight, z: momentZ / totalWeight }
+            : { x: 0, y: 0, z: 0 };
+
+        // Free surface correction: the virtual rise of G, per axis, that stands in for fluid
+        // shifting in slack tanks as the barge heels or trims
+        this.freeSurfaceCorrection = { transverse: 0, longitudinal: 0 };
+        if (totalWeight > 0) {
+            for (let content of contents) {
+                this.freeSurfaceCorrection.transverse += content.freeSurface.transverse / totalWeight;
+                this.freeSurfaceCorrection.longitudinal += content.freeSurface.longitudinal / totalWeight;
+            }
+        }
+        return totalWeight;
+    }
+
+    getKeelY() {
+        let keelY = Infinity;
+        for (let float of this.floats) {
+            keelY = Math.min(keelY, float.position.y - float.height / 2);
+        }
+        return keelY;
+    }
+
+    getMaxDraft() {
+        let deckY = -Infinity;
+        for (let float of this.floats) {
+            deckY = Math.max(deckY, float.position.y + float.height / 2);
+        }
+        return deckY - this.keelY;
+    }
+
+    getExtents() {
+        const extents = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+        for (let float of this.floats) {
+            const pos = float.position;
+            extents.minX = Math.min(extents.minX, pos.x - float.length / 2);
+            extents.maxX = Math.max(extents.maxX, pos.x + float.length / 2);
+            extents.minZ = Math.min(extents.minZ, pos.z - float.width / 2);
+            extents.maxZ = Math.max(extents.maxZ, pos.z + float.width / 2);
+        }
+        return extents;
+    }
+
+    // Second moments of the upright waterplane about the center of flotation, counting
+    // only the floats the waterline actually cuts through.
+    calculateWaterplane(draft) {
+        const waterY = this.keelY + draft;
+        const waterplane = { area: 0, centerX: 0, centerZ: 0, inertiaTransverse: 0, inertiaLongitudinal: 0 };
+        const cut = this.floats.filter(float => {
+            const pos = float.position;
+            return pos.y - float.height / 2 < waterY && pos.y + float.height / 2 > waterY;
+        });
+
+        for (let float of cut) {
+            const area = float.length * float.width * intactFraction(float);
+            waterplane.area += area;
+            waterplane.centerX += float.position.x * area;
+            waterplane.centerZ += float.position.z * area;
+        }
+        if (waterplane.area === 0) return waterplane;
+
+        waterplane.centerX /= waterplane.area;
+        waterplane.centerZ /= waterplane.area;
+
+        for (let float of cut) {
+            const fraction = intactFraction(float);
+            const area = float.length * float.width * fraction;
+            const offsetX = float.position.x - waterplane.centerX;
+            const offsetZ = float.position.z - waterplane.centerZ;
+            waterplane.inertiaTransverse += fraction * float.length * float.width ** 3 / 12 + area * offsetZ ** 2;
+            waterplane.inertiaLongitudinal += fraction * float.width * float.length ** 3 / 12 + area * offsetX ** 2;
+        }
+        return waterplane;
+    }
+
+    calculateMetacentricHeight(draft) {
+        const buoyancy = this.calculateBuoyancy(this.getWaterline(draft, 0, 0));
+        const waterplane = this.calculateWaterplane(draft);
+
+        const stability = { KB: 0, KG: 0, BMt: 0, BMl: 0, FSCt: 0, FSCl: 0, GMt: 0, GMl: 0 };
+        if (buoyancy.volume === 0) return stability;
+
+        // GM is the effective value, already reduced by the free surface correction
+        stability.KB = buoyancy.center.y - this.keelY;
+        stability.KG = this.centerGravity.y - this.keelY;
+        stability.BMt = waterplane.inertiaTransverse / buoyancy.volume;
+        stability.BMl = waterplane.inertiaLongitudinal / buoyancy.volume;
+        stability.FSCt = this.freeSurfaceCorrection.transverse;
+        stability.FSCl = this.freeSurfaceCorrection.longitudinal;
+        stability.GMt = stability.KB + stability.BMt - stability.KG - stability.FSCt;
+        stability.GMl = stability.KB + stability.BMl - stability.KG - stability.FSCl;
+        return stability;
+    }
+
+    getWaterline(draft, tiltX, tiltZ) {
+        return {
+            point: { x: this.centerFlotation.x, y: this.keelY + draft, z: this.centerFlotation.z },
+            normal: {
+                x: -Math.cos(tiltX) * Math.sin(tiltZ),
+                y: Math.cos(tiltX) * Math.cos(tiltZ),
+                z: Math.sin(tiltX)
+            }
+        };
+    }
+
+    // Integrates a float's box below a waterline plane given in barge (rest) coordinates,
+    // one vertical column at a time, so heel angles past deck-edge immersion still work.
+    // ground is the seabed's push on the float's bottom, in lbs, and where it acts.
+    calculateSubmerged(float, waterline) {
+        const pos = float.position;
+        const point = waterline.point;
+        const normal = waterline.normal;
+        const bottomY = pos.y - float.height / 2;
+
+        const cellX = float.length / SUBMERGED_CELLS;
+        const cellZ = float.width / SUBMERGED_CELLS;
+        const cellArea = cellX * cellZ;
+        const hasSeabed = this.seabed && this.seabed.type !== 'none';
+
+        let volume = 0;
+        let momentX = 0;
+        let momentY = 0;
+        let momentZ = 0;
+        const ground = { force: 0, center: { x: pos.x, y: bottomY, z: pos.z } };
+        let groundX = 0;
+        let groundZ = 0;
+
+        for (let i = 0; i < SUBMERGED_CELLS; i++) {
+            const x = pos.x - float.length / 2 + (i + 0.5) * cellX;
+
+            for (let j = 0; j < SUBMERGED_CELLS; j++) {
+                const z = pos.z - float.width / 2 + (j + 0.5) * cellZ;
+
+                const stillY = point.y - (normal.x * (x - point.x) + normal.z * (z - point.z)) / normal.y;
+                if (hasSeabed) {
+                    const penetration = stillY + seabedElevation(this.seabed, x, z) - bottomY;
+                    if (penetration > 0) {
+                        const force = penetration * cellArea * this.waterDensity * SEABED_STIFFNESS;
+                        ground.force += force;
+                        groundX += x * force;
+                        groundZ += z * force;
+                    }
+                }
+
+                const waterY = stillY + waveElevation(this.wave, x, z);
+                const submergedHeight = Math.max(0, Math.min(float.height, waterY - bottomY));
+                if (submergedHeight === 0) continue;
+
+                const columnVolume = submergedHeight * cellArea;
+                volume += columnVolume;
+                momentX += x * columnVolume;
+                momentY += (bottomY + submergedHeight / 2) * columnVolume;
+                momentZ += z * columnVolume;
+            }
+        }
+
+        if (ground.force > 0) {
+            ground.center.x = groundX / ground.force;
+            ground.center.z = groundZ / ground.force;
+        }
+
+        if (volume === 0) {
+            return { volume: 0, center: { x: pos.x, y: bottomY, z: pos.z }, ground };
+        }
+
+        return {
+            volume: volume,
+            center: { x: momentX / volume, y: momentY / volume, z: momentZ / volume },
+            ground
+        };
+    }
+
+    // Everything holding the barge up at a waterline: buoyancy, the seabed's push (reaction) and
+    // the two together (force, in lbs, acting at center).
+    calculateSupport(waterline) {
+        let volume = 0;
+        let momentX = 0;
+        let momentY = 0;
+        let momentZ = 0;
+        const reaction = { force: 0, center: { ...waterline.point } };
+        let reactionX = 0;
+        let reactionY = 0;
+        let reactionZ = 0;
+
+        for (let float of this.floats) {
+            const submerged = this.calculateSubmerged(float, waterline);
+            const intactVolume = submerged.volume * intactFraction(float);
+            volume += intactVolume;
+            momentX += submerged.center.x * intactVolume;
+            momentY += submerged.center.y * intactVolume;
+            momentZ += submerged.center.z * intactVolume;
+
+            const ground = submerged.ground;
+            reaction.force += ground.force;
+            reactionX += ground.center.x * ground.force;
+            reactionY += ground.center.y * ground.force;
+            reactionZ += ground.center.z * ground.force;
+        }
+
+        const center = volume > 0
+            ? { x: momentX / volume, y: momentY / volume, z: momentZ / volume }
+            : { ...waterline.point };
+        const buoyancy = { volume, displacement: volume * this.waterDensity, center };
+        if (reaction.force === 0) {
+            return { force: buoyancy.displacement, center, buoyancy, reaction };
+        }
+
+        reaction.center = { x: reactionX / reaction.force, y: reactionY / reaction.force, z: reactionZ / reaction.force };
+        const force = buoyancy.displacement + reaction.force;
+        const share = buoyancy.displacement / force;
+        return {
+            force,
+            center: {
+                x: center.x * share + reaction.center.x * (1 - share),
+                y: center.y * share + reaction.center.y * (1 - share),
+                z: center.z * share + reaction.center.z * (1 - share)
+            },
+            buoyancy,
+            reaction
+        };
+    }
+
+    calculateBuoyancy(waterline) {
+        return this.calculateSupport(waterline).buoyancy;
+    }
+
+    // Bottom corners of every float in barge coordinates, with the float's index.
+    getBottomCorners() {
+        const corners = [];
+        this.floats.forEach((float, index) => {
+            const pos = float.position;
+            const bottomY = pos.y - float.height / 2;
+            for (let sx of [-1, 1]) {
+                for (let sz of [-1, 1]) {
+                    corners.push({ x: pos.x + sx * float.length / 2, y: bottomY, z: pos.z + sz * float.width / 2, float: index });
+                }
+            }
+        });
+        return corners;
+    }
+
+    // Height of each float bottom corner above the seabed below it; negative once the corner is
+    // in the seabed, and Infinity with no seabed. The seabed is a plane, so between the
+    // corners the bottom is never closer to it than at the nearest one.
+    calculateKeelClearances(waterline) {
+        return this.getBottomCorners().map(corner => ({
+            ...corner,
+            clearance:
+                (corner.x - waterline.point.x) * waterline.normal.x +
+                (corner.y - waterline.point.y) * waterline.normal.y +
+                (corner.z - waterline.point.z) * waterline.normal.z -
+                seabedElevation(this.seabed, corner.x, corner.z)
+        }));
+    }
+
+    // Draft at the center of flotation that floats the given weight at a fixed heel and trim,
+    // or rests it on the seabed. Support only ever grows with draft, so a bracketed secant
+    // search always converges.
+    solveDraft(tiltX, tiltZ, weight, guess) {
+        const extents = this.getExtents();
+        const span = Math.max(extents.maxX - extents.minX, extents.maxZ - extents.minZ);
+        const maxDraft = this.getMaxDraft();
+
+        let low = -2 * span;
+        let high = maxDraft + 2 * span;
+        let draft = Math.max(low, Math.min(high, guess));
+        let support = this.calculateSupport(this.getWaterline(draft, tiltX, tiltZ));
+        let error = support.force - weight;
+        let previousDraft = null;
+        let previousError = null;
+
+        for (let iteration = 0; iteration < EQUILIBRIUM_MAX_ITERATIONS; iteration++) {
+            if (Math.abs(error) < weight * EQUILIBRIUM_WEIGHT_TOLERANCE) break;
+
+            if (error < 0) {
+                low = draft;
+            } else {
+                high = draft;
+            }
+
+            let next;
+            if (previousDraft === null || error === previousError) {
+                next = draft + (error < 0 ? 0.01 : -0.01);
+            } else {
+                next = draft - error * (draft - previousDraft) / (error - previousError);
+            }
+            if (!(next > low && next < high)) {
+                next = (low + high) / 2;
+            }
+            if (high - low < 1e-9) break;
+
+            previousDraft = draft;
+            previousError = error;
+            draft = next;
+            support = this.calculateSupport(this.getWaterline(draft, tiltX, tiltZ));
+            error = support.force - weight;
+        }
+
+        return { draft, buoyancy: support.buoyancy, support };
+    }
+
+    // Horizontal lever from G to B in the water frame, as [heel, trim] components signed so that
+    // a positive value rotates the barge toward a positive tiltX / tiltZ. G is raised by the free
+    // surface correction for each axis, and a heeling arm { x, z } acts like G moved that far downwind.
+    // On the seabed, B is the center of buoyancy and the seabed's push together.
+    calculateRightingLever(tiltX, tiltZ, weight, draftGuess, heelingArm = { x: 0, z: 0 }) {
+        const { draft, buoyancy, support } = this.solveDraft(tiltX, tiltZ, weight, draftGuess);
+        const toWater = (rise) => rotateToWater({
+            x: support.center.x - this.centerGravity.x,
+            y: support.center.y - this.centerGravity.y - rise,
+            z: support.center.z - this.centerGravity.z
+        }, tiltX, tiltZ);
+        const heelLever = toWater(this.freeSurfaceCorrection.transverse);
+        const trimLever = toWater(this.freeSurfaceCorrection.longitudinal);
+
+        return { draft, buoyancy, support, restoring: [heelLever.z - heelingArm.z, -(trimLever.x - heelingArm.x)] };
+    }
+
+    // Wind on the upright barge at the draft that floats its weight. The lateral area is every
+    // float's side above the waterline plus the deck cargo, projected across the wind, with no
+    // shielding of one box by another. The force acts at the area's centroid and is resisted at
+    // half draft, and the heeling arm is that moment over the weight, held constant with heel
+    // as in the usual weather criterion. Computed once per instance, when first needed.
+    calculateWindLoad() {
+        if (this.windLoad) return this.windLoad;
+
+        const direction = this.wind.direction * Math.PI / 180;
+        const along = { x: Math.cos(direction), z: Math.sin(direction) };
+        const load = { area: 0, centerHeight: 0, pressure: 0, force: 0, moment: 0, heelingArm: { x: 0, z: 0 } };
+        this.windLoad = load;
+        if (this.wind.speed <= 0 || this.floats.length === 0 || this.weight <= 0 ||
+            !this.canSupport(this.weight)) return load;
+
+        const draft = this.solveDraft(0, 0, this.weight, 0).draft;
+        const waterY = this.keelY + draft;
+        for (let box of [...this.floats, ...this.windage]) {
+            const top = box.position.y + box.height / 2;
+            const bottom = Math.max(box.position.y - box.height / 2, waterY);
+            if (top <= bottom) continue;
+
+            const area = (top - bottom) * (Math.abs(along.x) * box.width + Math.abs(along.z) * box.length);
+            load.area += area;
+            load.centerHeight += area * ((top + bottom) / 2 - waterY);
+        }
+        if (load.area === 0) return load;
+
+        const speed = this.wind.speed * KNOTS_TO_FEET_PER_SECOND;
+        load.centerHeight /= load.area;
+        load.pressure = 0.5 * AIR_DENSITY * speed * speed;
+        load.force = load.pressure * load.area;
+        load.moment = load.force * (load.centerHeight + draft / 2);
+        const arm = load.moment / this.weight;
+        load.heelingArm = { x: arm * along.x, z: arm * along.z };
+        return load;
+    }
+
+    // Iterates heel (tiltX) and trim (tiltZ), re-solving draft at each step, until B sits
+    // vertically under the combined G. Newton steps are only taken where the barge is stable, and
+    // are halved until they shorten the lever, which turns sharply where the barge comes to rest on
+    // the seabed; otherwise it relaxes in the direction the righting moment turns it.
+    // groundReaction is how much of the weight the seabed carries.
+    // start is { tiltX, tiltZ, draft } to warm-start from a previous solution.
+    solveEquilibrium(start = { tiltX: 0, tiltZ: 0, draft: 0 }) {
+        const result = {
+            draft: start.draft,
+            tiltX: start.tiltX,
+            tiltZ: start.tiltZ,
+            displacement: 0,
+            centerBuoyancy: { ...this.centerGravity },
+            groundReaction: 0,
+            isSinking: false,
+            converged: false
+        };
+        if (this.floats.length === 0 || this.weight <= 0) return result;
+
+        const weight = this.weight;
+        if (!this.canSupport(weight)) {
+            result.isSinking = true;
+            result.draft = this.getMaxDraft();
+            result.displacement = this.calculateMaxDisplacement();
+            return result;
+        }
+
+        const heelingArm = this.calculateWindLoad().heelingArm;
+        let angles = [start.tiltX, start.tiltZ];
+        let current = this.calculateRightingLever(angles[0], angles[1], weight, start.draft, heelingArm);
+
+        for (let iteration = 0; iteration < EQUILIBRIUM_MAX_ITERATIONS; iteration++) {
+            const restoring = current.restoring;
+            if (Math.abs(restoring[0]) < EQUILIBRIUM_LEVER_TOLERANCE &&
+                Math.abs(restoring[1]) < EQUILIBRIUM_LEVER_TOLERANCE) {
+                result.converged = true;
+                break;
+            }
+
+            const jacobian = [[0, 0], [0, 0]];
+            for (let k = 0; k < 2; k++) {
+                const shifted = [...angles];
+                shifted[k] += EQUILIBRIUM_ANGLE_STEP;
+                const shiftedLever = this.calculateRightingLever(shifted[0], shifted[1], weight, current.draft, heelingArm);
+                for (let row = 0; row < 2; row++) {
+                    jacobian[row][k] = (shiftedLever.restoring[row] - restoring[row]) / EQUILIBRIUM_ANGLE_STEP;
+                }
+            }
+
+            const trace = jacobian[0][0] + jacobian[1][1];
+            const determinant = jacobian[0][0] * jacobian[1][1] - jacobian[0][1] * jacobian[1][0];
+            const isRestoring = trace < 0 && determinant > 0;
+
+            let delta = isRestoring ? solveLinearSystem(jacobian, restoring.map(r => -r)) : null;
+            if (!delta) {
+                delta = restoring.map(r => r * EQUILIBRIUM_RELAXATION);
+            }
+
+            const stepLength = Math.hypot(delta[0], delta[1]);
+            if (stepLength > EQUILIBRIUM_MAX_ANGLE_STEP) {
+                delta = delta.map(d => d * EQUILIBRIUM_MAX_ANGLE_STEP / stepLength);
+            }
+
+            const stepTo = (step) => [
+                Math.max(-EQUILIBRIUM_MAX_ANGLE, Math.min(EQUILIBRIUM_MAX_ANGLE, angles[0] + step[0])),
+                Math.max(-EQUILIBRIUM_MAX_ANGLE, Math.min(EQUILIBRIUM_MAX_ANGLE, angles[1] + step[1]))
+            ];
+            let next = stepTo(delta);
+            let nextLever = this.calculateRightingLever(next[0], next[1], weight, current.draft, heelingArm);
+            const leverLength = Math.hypot(restoring[0], restoring[1]);
+            for (let halving = 0; isRestoring && halving < EQUILIBRIUM_MAX_HALVINGS &&
+                Math.hypot(nextLever.restoring[0], nextLever.restoring[1]) >= leverLength; halving++) {
+                delta = delta.map(d => d / 2);
+                next = stepTo(delta);
+                nextLever = this.calculateRightingLever(next[0], next[1], weight, current.draft, heelingArm);
+            }
+            angles = next;
+            current = nextLever;
+        }
+
+        [result.tiltX, result.tiltZ] = angles;
+        result.draft = current.draft;
+        result.displacement = current.buoyancy.displacement;
+        result.centerBuoyancy = current.buoyancy.center;
+        result.groundReaction = current.support.reaction.force;
+        return result;
+    }
+
+    // Balances the other axis (free trim for a heel curve, free heel for a trim curve)
+    // while the curve's own axis is held at a fixed angle, stepping as solveEquilibrium() does.
+    solveFreeAngle(axisIndex, angle, weight, guess) {
+        const freeIndex = 1 - axisIndex;
+        const angles = [0, 0];
+        angles[axisIndex] = angle;
+        angles[freeIndex] = guess.angle;
+        let current = this.calculateRightingLever(angles[0], angles[1], weight, guess.draft);
+
+        for (let iteration = 0; iteration < EQUILIBRIUM_MAX_ITERATIONS; iteration++) {
+            const restoring = current.restoring[freeIndex];
+            if (Math.abs(restoring) < EQUILIBRIUM_LEVER_TOLERANCE) break;
+
+            const shifted = [...angles];
+            shifted[freeIndex] += EQUILIBRIUM_ANGLE_STEP;
+            const shiftedLever = this.calculateRightingLever(shifted[0], shifted[1], weight, current.draft);
+            const stiffness = (shiftedLever.restoring[freeIndex] - restoring) / EQUILIBRIUM_ANGLE_STEP;
+
+            let delta = stiffness < 0 ? -restoring / stiffness : restoring * EQUILIBRIUM_RELAXATION;
+            delta = Math.max(-EQUILIBRIUM_MAX_ANGLE_STEP, Math.min(EQUILIBRIUM_MAX_ANGLE_STEP, delta));
+            const next = [...angles];
+            const stepTo = (step) => {
+                next[freeIndex] = Math.max(-EQUILIBRIUM_MAX_ANGLE, Math.min(EQUILIBRIUM_MAX_ANGLE, angles[freeIndex] + step));
+                return this.calculateRightingLever(next[0], next[1], weight, current.draft);
+            };
+            let nextLever = stepTo(delta);
+            for (let halving = 0; stiffness < 0 && halving < EQUILIBRIUM_MAX_HALVINGS &&
+                Math.abs(nextLever.restoring[freeIndex]) >= Math.abs(restoring); halving++) {
+                delta /= 2;
+                nextLever = stepTo(delta);
+            }
+            angles[freeIndex] = next[freeIndex];
+            current = nextLever;
+        }
+
+        return { angles, lever: current };
+    }
+
+    // Deck corners of every float in barge coordinates. Corners shared by touching floats are listed once.
+    getDeckCorners() {
+        const corners = [];
+        for (let float of this.floats) {
+            const pos = float.position;
+            const deckY = pos.y + float.height / 2;
+            for (let sx of [-1, 1]) {
+                for (let sz of [-1, 1]) {
+                    const corner = { x: pos.x + sx * float.length / 2, y: deckY, z: pos.z + sz * float.width / 2 };
+                    const isShared = corners.some(other => Math.abs(other.x - corner.x) < 1e-6 &&
+                        Math.abs(other.y - corner.y) < 1e-6 && Math.abs(other.z - corner.z) < 1e-6);
+                    if (!isShared) corners.push(corner);
+                }
+            }
+        }
+        return corners;
+    }
+
+    // Height of each deck corner above the waterline, or the wave surface there; negative once
+    // the corner is under water.
+    calculateFreeboards(waterline) {
+        return this.getDeckCorners().map(corner => ({
+            ...corner,
+            freeboard:
+                (corner.x - waterline.point.x) * waterline.normal.x +
+                (corner.y - waterline.point.y) * waterline.normal.y +
+                (corner.z - waterline.point.z) * waterline.normal.z -
+                waveElevation(this.wave, corner.x, corner.z) * waterline.normal.y
+        }));
+    }
+
+    calculateMinDeckHeight(waterline) {
+        return Math.min(...this.calculateFreeboards(waterline).map(corner => corner.freeboard));
+    }
+
+    // Righting arm curve for a heel ('heel') or trim ('trim') sweep, starting from a solved
+    // equilibrium { tiltX, tiltZ, draft }. The sweep goes toward the side the barge already
+    // lists to, and GZ is positive while the barge still rights itself. GZ leaves the wind out;
+    // heelingArm is the wind's arm along the sweep and, when there is wind, steadyAngle is
+    // where GZ first reaches it.
+    calculateGZCurve(equilibrium, axis = 'heel', maxAngle = 60, step = 2) {
+        const curve = {
+            axis, points: [], maxGZ: null, vanishingAngle: null, deckEdgeAngle: null, heelingArm: 0, steadyAngle: null
+        };
+        if (this.floats.length === 0) return curve;
+
+        const weight = this.weight;
+        if (weight <= 0 || !this.canSupport(weight)) return curve;
+
+        const axisIndex = axis === 'heel' ? 0 : 1;
+        const equilibriumAngle = axisIndex === 0 ? equilibrium.tiltX : equilibrium.tiltZ;
+        const direction = equilibriumAngle < 0 ? -1 : 1;
+        const windArm = this.calculateWindLoad().heelingArm;
+        curve.heelingArm = axisIndex === 0 ? -direction * windArm.z : direction * windArm.x;
+        let guess = { angle: axisIndex === 0 ? equilibrium.tiltZ : equilibrium.tiltX, draft: equilibrium.draft };
+
+        for (let degrees = 0; degrees <= maxAngle + 1e-9; degrees += step) {
+            const angle = direction * degrees * Math.PI / 180;
+            const solved = this.solveFreeAngle(axisIndex, angle, weight, guess);
+            const waterline = this.getWaterline(solved.lever.draft, solved.angles[0], solved.angles[1]);
+
+            curve.points.push({
+                angle: degrees,
+                gz: -direction * solved.lever.restoring[axisIndex],
+                deckHeight: this.calculateMinDeckHeight(waterline)
+            });
+            guess = { angle: solved.angles[1 - axisIndex], draft: solved.lever.draft };
+        }
+
+        const deckEdgeAngle = this.calculateDeckEdgeAngle(equilibrium, axis, maxAngle);
+        curve.deckEdgeAngle = deckEdgeAngle > 0 ? deckEdgeAngle : null;
+
+        for (let i = 0; i < curve.points.length; i++) {
+            const point = curve.points[i];
+            if (!curve.maxGZ || point.gz > curve.maxGZ.gz) {
+                curve.maxGZ = { angle: point.angle, gz: point.gz };
+            }
+            if (i === 0) continue;
+
+            const previous = curve.points[i - 1];
+            if (curve.steadyAngle === null && this.wind.speed > 0 && previous.gz < curve.heelingArm && point.gz >= curve.heelingArm) {
+                curve.steadyAngle = interpolateCrossing(
+                    previous.angle, previous.gz - curve.heelingArm, point.angle, point.gz - curve.heelingArm);
+            }
+        }
+
+        const maxIndex = curve.points.findIndex(point => point.angle === curve.maxGZ.angle);
+        for (let i = maxIndex + 1; i < curve.points.length; i++) {
+            const previous = curve.points[i - 1];
+            const point = curve.points[i];
+            if (previous.gz > 0 && point.gz <= 0) {
+                curve.vanishingAngle = interpolateCrossing(previous.angle, previous.gz, point.angle, point.gz);
+                break;
+            }
+        }
+
+        return curve;
+    }
+
+    // Angle in degrees from upright, toward the side the barge lists to, at which the lowest deck
+    // edge reaches the water when heeled ('heel') or trimmed ('trim') with the other axis balanced,
+    // as calculateGZCurve() sweeps. 0 if the deck edge is under even upright, null if it stays dry
+    // to maxAngle. Steps out DECK_EDGE_STEP degrees at a time, or by secant once the deck height
+    // is falling, then closes in on the crossing by regula falsi.
+    calculateDeckEdgeAngle(equilibrium, axis = 'heel', maxAngle = 60) {
+        const weight = this.weight;
+        if (this.floats.length === 0 || weight <= 0 || !this.canSupport(weight)) return null;
+
+        const axisIndex = axis === 'heel' ? 0 : 1;
+        const equilibriumAngle = axisIndex === 0 ? equilibrium.tiltX : equilibrium.tiltZ;
+        const direction = equilibriumAngle < 0 ? -1 : 1;
+        let guess = { angle: axisIndex === 0 ? equilibrium.tiltZ : equilibrium.tiltX, draft: equilibrium.draft };
+        const measure = (degrees) => {
+            const solved = this.solveFreeAngle(axisIndex, direction * degrees * Math.PI / 180, weight, guess);
+            guess = { angle: solved.angles[1 - axisIndex], draft: solved.lever.draft };
+            const waterline = this.getWaterline(solved.lever.draft, solved.angles[0], solved.angles[1]);
+            return { angle: degrees, deckHeight: this.calculateMinDeckHeight(waterline) };
+        };
+
+        // dry is the furthest angle known to keep the deck edge out of the water, wet the nearest one that puts it under
+        let dry = measure(0);
+        if (dry.deckHeight < 0) return 0;
+        let previous = null;
+        let wet = null;
+        for (let iteration = 0; iteration < DECK_EDGE_MAX_ITERATIONS; iteration++) {
+            let angle;
+            if (wet) {
+                angle = interpolateCrossing(dry.angle, dry.deckHeight, wet.angle, wet.deckHeight);
+            } else if (previous && previous.deckHeight > dry.deckHeight) {
+                angle = Math.min(maxAngle, interpolateCrossing(previous.angle, previous.deckHeight, dry.angle, dry.deckHeight));
+            } else {
+                angle = Math.min(maxAngle, dry.angle + DECK_EDGE_STEP);
+            }
+
+            const point = measure(angle);
+            if (Math.abs(point.deckHeight) < DECK_EDGE_TOLERANCE) return angle;
+            if (point.deckHeight < 0) {
+                wet = point;
+            } else {
+                previous = dry;
+                dry = point;
+                if (!wet && angle >= maxAngle) return null;
+            }
+        }
+        return wet ? interpolateCrossing(dry.angle, dry.deckHeight, wet.angle, wet.deckHeight) : null;
+    }
+}
@@ -0,0 +1,73 @@
+// ========================================
+// LOAD PLACEMENT OPTIMIZER
+// Suggests deck positions for a set of items by a pattern search: each movable item in turn
+// tries a step forward, aft, to port and to starboard, keeping any step that lowers the score,
+// and the step is halved once none helps. Steps that would leave the deck or overlap another
+// item are never taken. The scoring is left to the caller, so the same search can level the
+// barge or keep its deck out of the water. Units are ft.
+// ========================================
+export const OPTIMIZER_MIN_STEP = 0.25;
+export const OPTIMIZER_MAX_EVALUATIONS = 1500;
+export const OPTIMIZER_TOLERANCE = 1e-9;
+
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+export function footprintsOverlap(a, b) {
+    return Math.abs(a.x - b.x) < (a.length + b.length) / 2 - OPTIMIZER_TOLERANCE &&
+        Math.abs(a.z - b.z) < (a.width + b.width) / 2 - OPTIMIZER_TOLERANCE;
+}
+
+// items: [{ x, z, length, width, movable }], length along X and width along Z.
+// extents: the deck's { minX, maxX, minZ, maxZ }; an item's whole footprint stays inside it.
+// isOnDeck(x, z): whether a point is over a float rather than a gap between floats.
+// evaluate(positions): a score for the items at [{ x, z }], in the same order; lower is better.
+// Returns the best positions found and their score alongside the starting score.
+export function optimizePlacement(items, extents, isOnDeck, evaluate) {
+    let positions = items.map(item => ({ x: item.x, z: item.z }));
+    const initialScore = evaluate(positions);
+    let score = initialScore;
+    let evaluations = 1;
+
+    const fits = (index, position) => {
+        const item = items[index];
+        const halfLength = item.length / 2;
+        const halfWidth = item.width / 2;
+        if (position.x - halfLength < extents.minX - OPTIMIZER_TOLERANCE || position.x + halfLength > extents.maxX + OPTIMIZER_TOLERANCE ||
+            position.z - halfWidth < extents.minZ - OPTIMIZER_TOLERANCE || position.z + halfWidth > extents.maxZ + OPTIMIZER_TOLERANCE) {
+            return false;
+        }
+        const corners = [[-1, -1], [-1, 1], [1, -1], [1, 1], [0, 0]];
+        if (!corners.every(([sx, sz]) => isOnDeck(position.x + sx * halfLength, position.z + sz * halfWidth))) {
+            return false;
+        }
+        return items.every((other, i) => i === index ||
+            !footprintsOverlap({ ...item, ...position }, { ...other, ...positions[i] }));
+    };
+
+    let step = Math.max(extents.maxX - extents.minX, extents.maxZ - extents.minZ) / 4;
+    while (step >= OPTIMIZER_MIN_STEP && evaluations < OPTIMIZER_MAX_EVALUATIONS) {
+        let improved = false;
+        items.forEach((item, index) => {
+            if (!item.movable) return;
+            for (let [dx, dz] of DIRECTIONS) {
+                if (evaluations >= OPTIMIZER_MAX_EVALUATIONS) return;
+                const candidate = { x: positions[index].x + dx * step, z: positions[index].z + dz * step };
+                if (!fits(index, candidate)) continue;
+
+                const trial = positions.map((position, i) => i === index ? candidate : position);
+                const trialScore = evaluate(trial);
+                evaluations++;
+                if (trialScore < score - OPTIMIZER_TOLERANCE) {
+                    positions = trial;
+                    score = trialScore;
+                    improved = true;
+                }
+            }
+        });
+        if (!improved) {
+            step /= 2;
+        }
+    }
+
+    return { positions, score, initialScore, evaluations };
+}
@@ -0,0 +1,394 @@
+import { CRITERIA_PRESETS, createCriteria, validateCriteria } from './criteria.mjs';
+
+// ========================================
+// PROJECT FILES
+// Reading, migrating and validating saved projects. Shared by the browser app
+// (script.js) and the command line runner (cli.mjs).
+//
+// A project file is JSON of the form:
+// {
+//     "format": "barge-stability-project",
+//     "version": 14,
+//     "waterDensity": 62.4,                  lb/ft³, fresh 62.4 / brackish 63.2 / salt 64.0 or custom
+//     "wind": { "speed": 0, "direction": 90 }, knots, and degrees it blows toward (0° +X, 90° +Z)
+//     "wave": { "height": 0, "period": 8, "heading": 90 }, ft crest to trough (0 for still water),
+//                                            seconds, and degrees the waves travel toward
+//     "seabed": { "type": "none", "depth": 10, "slope": 5, "heading": 0 },
+//                                            "none" (deep water), "flat" or "ramp"; ft below still
+//                                            water (at the origin for a ramp), and the ramp's rise
+//                                            in degrees and the degrees it rises toward
+//     "floats": [{
+//         "id": 1,
+//         "length": 20, "width": 10, "height": 7,   ft, along X / Z / Y
+//         "weight": 20000,                          lbs
+//         "position": { "x": 0, "y": 1.82, "z": 0 }, ft, box center in barge coordinates
+//         "flooded": false,                         damage case, the float has lost its buoyancy
+//         "permeability": 0.95,                     fraction of the float's volume that floods
+//         "connector": { "shear": 0, "moment": 0 }, lbs and lb·ft the float's end connectors take, 0 if unknown
+//         "tanks": [{                                        ballast compartments inside the float
+//             "id": 1, "name": "Tank 1",
+//             "length": 20, "width": 10, "height": 7,      ft, along the float's X / Z / Y
+//             "offset": { "x": 0, "y": 0, "z": 0 },        ft, tank center from the float center
+//             "fill": 0.5,                                 fraction of the tank's height that is full
+//             "density": 64.0                              lb/ft³, of the ballast fluid
+//         }]
+//     }],
+//     "items": [{
+//         "id": 1, "name": "Item 1",
+//         "length": 2, "width": 2, "height": 2,
+//         "weight": 1000,
+//         "color": "#ff6347",
+//         "cg": { "offsetX": 0, "height": 1, "offsetZ": 0 },  ft, from the center of the item's base
+//         "position": { "x": 0, "y": 6.32, "z": 0 },
+//         "locked": false,                                 the placement optimizer leaves it where it is
+//         "crane": {                                       only on cranes, see getBoomTip()
+//             "radius": 12, "slew": 0, "boomHeight": 15,   ft, degrees, ft
+//             "hookLoad": 1000                             lbs, hanging from the boom tip
+//         }
+//     }],
+//     "stages": [{                                         load sequence, see stages.mjs
+//         "name": "Stage 1",
+//         "items": [{ ... }]                               every item on the deck at this stage, as in "items"
+//     }],
+//     "criteria": {                                        stability limits, see criteria.mjs
+//         "preset": "harbour",
+//         "rules": [{ "metric": "GMt", "limit": 1.0, "enabled": true }]
+//     }
+// }
+// When the schema changes, bump PROJECT_VERSION and add a migration from the
+// previous version to PROJECT_MIGRATIONS so older files keep opening.
+// ========================================
+export const PROJECT_FORMAT = 'barge-stability-project';
+export const PROJECT_VERSION = 14;
+export const DEFAULT_MIN_FREEBOARD = 1.0;
+export const DEFAULT_WIND = { speed: 0, direction: 90 };
+export const DEFAULT_WAVE = { height: 0, period: 8, heading: 90 };
+export const SEABED_TYPES = ['none', 'flat', 'ramp'];
+export const DEFAULT_SEABED = { type: 'none', depth: 10, slope: 5, heading: 0 };
+export const DEFAULT_PERMEABILITY = 0.95;
+export const DEFAULT_CONNECTOR = { shear: 0, moment: 0 };
+export const PROJECT_MIGRATIONS = {
+    // Version 2 stores the stability criteria; older projects get the default preset.
+    1: (project) => ({ ...project, version: 2, criteria: createCriteria() }),
+    // Version 3 adds the minimum freeboard used to flag deck corners.
+    2: (project) => ({ ...project, version: 3, minFreeboard: DEFAULT_MIN_FREEBOARD }),
+    // Version 4 lets an item be a crane; older projects have none.
+    3: (project) => ({ ...project, version: 4 }),
+    // Version 5 adds the wind setting; older projects are calm.
+    4: (project) => ({ ...project, version: 5, wind: { ...DEFAULT_WIND } }),
+    // Version 6 adds ballast tanks inside floats; older floats have none.
+    5: (project) => ({ ...project, version: 6, floats: project.floats.map(float => ({ ...float, tanks: [] })) }),
+    // Version 7 adds damage cases; older floats are intact.
+    6: (project) => ({
+        ...project,
+        version: 7,
+        floats: project.floats.map(float => ({ ...float, flooded: false, permeability: DEFAULT_PERMEABILITY }))
+    }),
+    // Version 8 adds connector capacities for the longitudinal strength check; older floats have none entered.
+    7: (project) => ({ ...project, version: 8, floats: project.floats.map(float => ({ ...float, connector: { ...DEFAULT_CONNECTOR } })) }),
+    // Version 9 lets items be locked in place for the placement optimizer; older items are not.
+    8: (project) => ({ ...project, version: 9, items: project.items.map(item => ({ ...item, locked: false })) }),
+    // Version 10 adds load stages; older projects have none.
+    9: (project) => ({ ...project, version: 10, stages: [] }),
+    // Version 11 adds the wave setting; older projects are in still water.
+    10: (project) => ({ ...project, version: 11, wave: { ...DEFAULT_WAVE } }),
+    // Version 12 adds the seabed; older projects are in deep water.
+    11: (project) => ({ ...project, version: 12, seabed: { ...DEFAULT_SEABED } }),
+    // Version 13 replaces the deck-edge immersion limit (ft under water) with a deck-edge margin
+    // (degrees of heel left); see migrateDeckEdgeRules().
+    12: (project) => ({ ...project, version: 13, criteria: migrateDeckEdgeRules(project.criteria) }),
+    // Version 14 drops the separate minimum freeboard; deck corners are flagged against the
+    // freeboard criterion instead.
+    13: ({ minFreeboard, ...project }) => ({ ...project, version: 14 })
+};
+
+// A project still on a preset takes the preset's margin. An edited one gets 0°, which keeps the
+// deck edge out of the water as the usual immersion limit of 0 ft did.
+function migrateDeckEdgeRules(criteria) {
+    if (!criteria || !Array.isArray(criteria.rules)) return criteria;
+    const preset = CRITERIA_PRESETS[criteria.preset];
+    const presetRule = preset && preset.rules.find(rule => rule.metric === 'deckEdgeMargin');
+    return {
+        ...criteria,
+        rules: criteria.rules.map(rule => rule && rule.metric === 'deckEdgeImmersion'
+            ? { metric: 'deckEdgeMargin', limit: presetRule ? presetRule.limit : 0, enabled: rule.enabled }
+            : rule)
+    };
+}
+
+// Where a crane's hook load hangs from, in barge coordinates. The boom tip is radius out from
+// the center of the crane's base at the slew angle (0° along +X, 90° along +Z) and boomHeight
+// above the base. A suspended load acts at its suspension point whatever the length of the
+// hoist rope, so this is also where the hook load's weight acts.
+export function getBoomTip(position, height, crane) {
+    const slew = crane.slew * Math.PI / 180;
+    return {
+        x: position.x + crane.radius * Math.cos(slew),
+        y: position.y - height / 2 + crane.boomHeight,
+        z: position.z + crane.radius * Math.sin(slew)
+    };
+}
+
+// Where an item's own weight acts, in barge coordinates. cg is measured from the center of
+// the item's base, so cg.height is up from the deck the item stands on.
+export function getItemCenterGravity(position, height, cg) {
+    return {
+        x: position.x + cg.offsetX,
+        y: position.y - height / 2 + cg.height,
+        z: position.z + cg.offsetZ
+    };
+}
+
+// A tank as the Hydrostatics class takes it: moved from its offset off the center of its
+// float, at floatPosition, to barge coordinates.
+export function getTankDescription(tank, floatPosition) {
+    return {
+        length: tank.length,
+        width: tank.width,
+        height: tank.height,
+        position: {
+            x: floatPosition.x + tank.offset.x,
+            y: floatPosition.y + tank.offset.y,
+            z: floatPosition.z + tank.offset.z
+        },
+        fill: tank.fill,
+        density: tank.density
+    };
+}
+
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON: ' + error.message);
+    }
+
+    if (!project || typeof project !== 'object' || Array.isArray(project)) {
+        throw new Error('File does not contain a project object.');
+    }
+    if (project.format !== PROJECT_FORMAT) {
+        throw new Error('File is not a barge stability project.');
+    }
+    if (!Number.isInteger(project.version) || project.version < 1) {
+        throw new Error('Project version is missing or invalid.');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${project.version} was saved by a newer version of this tool.`);
+    }
+
+    while (project.version < PROJECT_VERSION) {
+        project = PROJECT_MIGRATIONS[project.version](project);
+    }
+
+    const errors = validateProject(project);
+    if (errors.length > 0) {
+        throw new Error('Project file is invalid:\n' + errors.join('\n'));
+    }
+    return project;
+}
+
+export function validateProject(project) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+    const checkPositive = (value, path) => {
+        if (!isNumber(value) || value <= 0) errors.push(`${path} must be a positive number`);
+    };
+    const checkNonNegative = (value, path) => {
+        if (!isNumber(value) || value < 0) errors.push(`${path} must be zero or a positive number`);
+    };
+    const checkNumber = (value, path) => {
+        if (!isNumber(value)) errors.push(`${path} must be a number`);
+    };
+    const checkPosition = (position, path) => {
+        if (!position || typeof position !== 'object') {
+            errors.push(`${path} must be an object with x, y and z`);
+            return;
+        }
+        for (let axis of ['x', 'y', 'z']) checkNumber(position[axis], `${path}.${axis}`);
+    };
+    const checkId = (id, path, seen) => {
+        if (!Number.isInteger(id) || id < 1) {
+            errors.push(`${path} must be a positive integer`);
+        } else if (seen.has(id)) {
+            errors.push(`${path} ${id} is used more than once`);
+        }
+        seen.add(id);
+    };
+
+    const checkTanks = (float, path) => {
+        if (!Array.isArray(float.tanks)) {
+            errors.push(`${path}.tanks must be a list`);
+            return;
+        }
+        const ids = new Set();
+        float.tanks.forEach((tank, i) => {
+            const tankPath = `${path}.tanks[${i}]`;
+            if (!tank || typeof tank !== 'object') {
+                errors.push(`${tankPath} must be an object`);
+                return;
+            }
+            checkId(tank.id, `${tankPath}.id`, ids);
+            if (typeof tank.name !== 'string') errors.push(`${tankPath}.name must be text`);
+            checkPositive(tank.length, `${tankPath}.length`);
+            checkPositive(tank.width, `${tankPath}.width`);
+            checkPositive(tank.height, `${tankPath}.height`);
+            checkPosition(tank.offset, `${tankPath}.offset`);
+            if (!isNumber(tank.fill) || tank.fill < 0 || tank.fill > 1) {
+                errors.push(`${tankPath}.fill must be a number from 0 to 1`);
+            }
+            checkPositive(tank.density, `${tankPath}.density`);
+        });
+    };
+
+    const checkItems = (items, listPath) => {
+        if (!Array.isArray(items)) {
+            errors.push(`${listPath} must be a list`);
+            return;
+        }
+        const ids = new Set();
+        items.forEach((item, i) => {
+            const path = `${listPath}[${i}]`;
+            if (!item || typeof item !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            checkId(item.id, `${path}.id`, ids);
+            if (typeof item.name !== 'string') errors.push(`${path}.name must be text`);
+            checkPositive(item.length, `${path}.length`);
+            checkPositive(item.width, `${path}.width`);
+            checkPositive(item.height, `${path}.height`);
+            checkNonNegative(item.weight, `${path}.weight`);
+            if (typeof item.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(item.color)) {
+                errors.push(`${path}.color must be a hex color like #ff6347`);
+            }
+            if (!item.cg || typeof item.cg !== 'object') {
+                errors.push(`${path}.cg must be an object with offsetX, height and offsetZ`);
+            } else {
+                checkNumber(item.cg.offsetX, `${path}.cg.offsetX`);
+                checkNonNegative(item.cg.height, `${path}.cg.height`);
+                checkNumber(item.cg.offsetZ, `${path}.cg.offsetZ`);
+            }
+            checkPosition(item.position, `${path}.position`);
+            if (typeof item.locked !== 'boolean') errors.push(`${path}.locked must be true or false`);
+            if (item.crane !== undefined) {
+                if (!item.crane || typeof item.crane !== 'object') {
+                    errors.push(`${path}.crane must be an object with radius, slew, boomHeight and hookLoad`);
+                } else {
+                    checkNonNegative(item.crane.radius, `${path}.crane.radius`);
+                    checkNumber(item.crane.slew, `${path}.crane.slew`);
+                    checkNonNegative(item.crane.boomHeight, `${path}.crane.boomHeight`);
+                    checkNonNegative(item.crane.hookLoad, `${path}.crane.hookLoad`);
+                }
+            }
+        });
+    };
+
+    checkPositive(project.waterDensity, 'waterDensity');
+    if (!project.wind || typeof project.wind !== 'object') {
+        errors.push('wind must be an object with speed and direction');
+    } else {
+        checkNonNegative(project.wind.speed, 'wind.speed');
+        checkNumber(project.wind.direction, 'wind.direction');
+    }
+    if (!project.wave || typeof project.wave !== 'object') {
+        errors.push('wave must be an object with height, period and heading');
+    } else {
+        checkNonNegative(project.wave.height, 'wave.height');
+        checkPositive(project.wave.period, 'wave.period');
+        checkNumber(project.wave.heading, 'wave.heading');
+    }
+    if (!project.seabed || typeof project.seabed !== 'object') {
+        errors.push('seabed must be an object with type, depth, slope and heading');
+    } else {
+        if (!SEABED_TYPES.includes(project.seabed.type)) {
+            errors.push(`seabed.type must be one of ${SEABED_TYPES.join(', ')}`);
+        }
+        checkNumber(project.seabed.depth, 'seabed.depth');
+        if (!isNumber(project.seabed.slope) || project.seabed.slope < 0 || project.seabed.slope >= 90) {
+            errors.push('seabed.slope must be a number from 0 up to 90');
+        }
+        checkNumber(project.seabed.heading, 'seabed.heading');
+    }
+
+    if (!Array.isArray(project.floats) || project.floats.length === 0) {
+        errors.push('floats must be a non-empty list');
+    } else {
+        const ids = new Set();
+        project.floats.forEach((float, i) => {
+            const path = `floats[${i}]`;
+            if (!float || typeof float !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            checkId(float.id, `${path}.id`, ids);
+            checkPositive(float.length, `${path}.length`);
+            checkPositive(float.width, `${path}.width`);
+            checkPositive(float.height, `${path}.height`);
+            checkNonNegative(float.weight, `${path}.weight`);
+            checkPosition(float.position, `${path}.position`);
+            if (typeof float.flooded !== 'boolean') errors.push(`${path}.flooded must be true or false`);
+            if (!isNumber(float.permeability) || float.permeability < 0 || float.permeability > 1) {
+                errors.push(`${path}.permeability must be a number from 0 to 1`);
+            }
+            if (!float.connector || typeof float.connector !== 'object') {
+                errors.push(`${path}.connector must be an object with shear and moment`);
+            } else {
+                checkNonNegative(float.connector.shear, `${path}.connector.shear`);
+                checkNonNegative(float.connector.moment, `${path}.connector.moment`);
+            }
+            checkTanks(float, path);
+        });
+    }
+
+    checkItems(project.items, 'items');
+    if (!Array.isArray(project.stages)) {
+        errors.push('stages must be a list');
+    } else {
+        project.stages.forEach((stage, i) => {
+            const path = `stages[${i}]`;
+            if (!stage || typeof stage !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof stage.name !== 'string') errors.push(`${path}.name must be text`);
+            checkItems(stage.items, `${path}.items`);
+        });
+    }
+
+    errors.push(...validateCriteria(project.criteria, 'criteria'));
+
+    return errors;
+}
+
+// Plain description of a validated project for the Hydrostatics class: floats keep their
+// box geometry, and flooded floats their permeability. Every item becomes a point weight at
+// its CG and a crane's hook load a point weight at its boom tip. Tanks move from
+// float-relative to barge coordinates and item boxes are the windage. The barge is in still
+// water over the project's seabed; see calculateWaveResponse() in waves.mjs for its wave.
+export function projectToHydrostatics(project) {
+    return {
+        waterDensity: project.waterDensity,
+        floats: project.floats.map(float => ({
+            length: float.length,
+            width: float.width,
+            height: float.height,
+            weight: float.weight,
+            position: { ...float.position },
+            permeability: float.flooded ? float.permeability : 0
+        })),
+        tanks: project.floats.flatMap(float => float.tanks.map(tank => getTankDescription(tank, float.position))),
+        loads: project.items.flatMap(item => [
+            { weight: item.weight, position: getItemCenterGravity(item.position, item.height, item.cg) },
+            ...(item.crane ? [{ weight: item.crane.hookLoad, position: getBoomTip(item.position, item.height, item.crane) }] : [])
+        ]),
+        windage: project.items.map(item => ({
+            length: item.length,
+            width: item.width,
+            height: item.height,
+            position: { ...item.position }
+        })),
+        wind: { ...project.wind },
+        seabed: { ...project.seabed }
+    };
+}
@@ -1,3 +1,121 @@
+import { Hydrostatics, calculateFloatDraft, calculateTankContents, waveElevation, waveLength, seabedElevation } from './hydrostatics.mjs';
+import { suggestBallast } from './ballast.mjs';
+import { calculateLongitudinalStrength, checkJoints } from './strength.mjs';
+import { optimizePlacement } from './optimizer.mjs';
+import { copyStage, interpolateStageItems, solveStages } from './stages.mjs';
+import { calculateWaveResponse } from './waves.mjs';
+import { PROJECT_FORMAT, PROJECT_VERSION, DEFAULT_WIND, DEFAULT_WAVE, DEFAULT_SEABED, DEFAULT_PERMEABILITY, DEFAULT_CONNECTOR, parseProject, projectToHydrostatics, getBoomTip, getItemCenterGravity, getTankDescription } from './project.mjs';
+import { CRITERIA_METRICS, CRITERIA_PRESETS, createCriteria, measureCriteria, evaluateCriteria, getCriterionLimit } from './criteria.mjs';
+import { CSV_FIELDS, parseCSV, formatCSV, guessColumnMapping, mapCSVRows, getHeaderUnit } from './csv.mjs';
+
+// ========================================
+// EDITOR SETTINGS
+// ========================================
+const SELECTION_EMISSIVE = 0x555500;
+const HISTORY_LIMIT = 100;
+const LAYOUT_GRID_SIZE = 1;
+const LAYOUT_SNAP_DISTANCE = 1.5;
+const LAYOUT_TOLERANCE = 1e-6;
+const FLAGGED_COLOR = 0xd32f2f;
+const TANK_FLUID_COLOR = 0x1e88e5;
+const FLOODED_COLOR = 0x4a6fa5;
+
+// ========================================
+// DYNAMIC SIMULATION SETTINGS
+// ========================================
+const SIMULATION_GRAVITY = 32.174;
+const SIMULATION_TIME_STEP = 1 / 120;
+const SIMULATION_MAX_STEPS_PER_FRAME = 40;
+const SIMULATION_LINEAR_DAMPING = 0.3;
+const SIMULATION_ANGULAR_DAMPING = 0.3;
+const SIMULATION_HISTORY_SECONDS = 60;
+const SIMULATION_PLOT_SECONDS = 30;
+
+// ========================================
+// CRANE SETTINGS
+// ========================================
+const SLEW_SWEEP_STEP = 10;
+const CRANE_RIG_COLOR = 0xffc107;
+
+// ========================================
+// WAVE SETTINGS
+// ========================================
+const WAVE_MESH_SIZE = 100;
+const WAVE_MESH_SEGMENTS = 64;
+const SEABED_COLOR = 0xc2a878;
+
+// ========================================
+// LOAD STAGE SETTINGS
+// ========================================
+const STAGE_TRANSITION_SECONDS = 2;
+const STAGE_TIMELINE_STEP = 0.01;
+
+// ========================================
+// PLACEMENT HEATMAP SETTINGS
+// ========================================
+const PLACEMENT_MAX_CELLS = 600;
+const PLACEMENT_CELL_PIXELS = 8;
+const PLACEMENT_FRAME_BUDGET = 20;
+const PLACEMENT_OPACITY = 0.75;
+const PLACEMENT_DECK_OFFSET = 0.05;
+
+// ========================================
+// ENVIRONMENT AND UNITS
+// The model always works in ft, lbs and lb/ft³; other unit systems only
+// change what is shown in and read from the UI.
+// ========================================
+const WATER_DENSITIES = {
+    fresh: 62.4,
+    brackish: 63.2,
+    salt: 64.0
+};
+
+const UNIT_SYSTEMS = {
+    imperial: {
+        length: { label: 'ft', factor: 1, digits: 2 },
+        area: { label: 'ft²', factor: 1, digits: 2 },
+        weight: { label: 'lbs', factor: 1, digits: 0 },
+        displacement: { label: 'lbs', factor: 1, digits: 0 },
+        density: { label: 'lb/ft³', factor: 1, digits: 1 },
+        speed: { label: 'kn', factor: 1, digits: 1 },
+        moment: { label: 'lb·ft', factor: 1, digits: 0 }
+    },
+    metric: {
+        length: { label: 'm', factor: 0.3048, digits: 2 },
+        area: { label: 'm²', factor: 0.09290304, digits: 2 },
+        weight: { label: 'kg', factor: 0.45359237, digits: 0 },
+        displacement: { label: 't', factor: 0.00045359237, digits: 2 },
+        density: { label: 'kg/m³', factor: 16.01846337, digits: 1 },
+        speed: { label: 'm/s', factor: 0.514444, digits: 1 },
+        moment: { label: 'kg·m', factor: 0.138254954, digits: 0 }
+    }
+};
+
+let unitSystem = 'imperial';
+
+function toDisplay(value, quantity) {
+    return value * UNIT_SYSTEMS[unitSystem][quantity].factor;
+}
+
+function fromDisplay(value, quantity) {
+    return value / UNIT_SYSTEMS[unitSystem][quantity].factor;
+}
+
+function formatValue(value, quantity, digits = UNIT_SYSTEMS[unitSystem][quantity].digits) {
+    return toDisplay(value, quantity).toFixed(digits);
+}
+
+function unitLabel(quantity) {
+    return UNIT_SYSTEMS[unitSystem][quantity].label;
+}
+
+// The unit system whose label for a quantity is the given unit, such as 'metric' for 'kg' as a
+// weight, or null if none uses it.
+function findUnitSystem(unit, quantity) {
+    const key = unit.toLowerCase();
+    return Object.keys(UNIT_SYSTEMS).find(system => UNIT_SYSTEMS[system][quantity].label.toLowerCase() === key) || null;
+}
+
 // ========================================
 // CLASS: Float
 // Represents a floating pontoon/section of the barge
@@ -17,7 +135,12 @@ class Float {
 
         this.id = id;
         this.weight = 20000;
-        this.waterDensity = 62.4;
+        this.tanks = [];
+        this.nextTankId = 1;
+        this.flooded = false;
+        this.permeability = DEFAULT_PERMEABILITY;
+        this.connector = { ...DEFAULT_CONNECTOR };
+        this.flagged = false;
     }
 
     setPosition(x, y, z) {
@@ -28,10 +151,127 @@ class Float {
         return this.mesh.position;
     }
 
-    calculateDraft() {
-        const volumeNeeded = this.weight / this.waterDensity;
-        const draft = volumeNeeded / (this.width * this.depth);
-        return draft;
+    getCenterGravity() {
+        return this.restPosition;
+    }
+
+    setHighlighted(highlighted) {
+        this.material.emissive.setHex(highlighted ? SELECTION_EMISSIVE : 0x000000);
+    }
+
+    setFlagged(flagged) {
+        this.flagged = flagged;
+        this.updateColor();
+    }
+
+    setFlooded(flooded) {
+        this.flooded = flooded;
+        this.updateColor();
+    }
+
+    // Layout problems take precedence over damage so they are never hidden.
+    updateColor() {
+        this.material.color.setHex(this.flagged ? FLAGGED_COLOR : this.flooded ? FLOODED_COLOR : this.color);
+    }
+
+    getFootprint() {
+        const pos = this.restPosition;
+        return {
+            minX: pos.x - this.width / 2,
+            maxX: pos.x + this.width / 2,
+            minZ: pos.z - this.depth / 2,
+            maxZ: pos.z + this.depth / 2
+        };
+    }
+
+    // A box turned 90° about Y is the same box with length and width swapped; its tanks turn with it.
+    rotate90() {
+        [this.width, this.depth] = [this.depth, this.width];
+        this.mesh.geometry.dispose();
+        this.geometry = new THREE.BoxGeometry(this.width, this.height, this.depth);
+        this.mesh.geometry = this.geometry;
+
+        for (let tank of this.tanks) {
+            [tank.length, tank.width] = [tank.width, tank.length];
+            [tank.offset.x, tank.offset.z] = [tank.offset.z, -tank.offset.x];
+            tank.updateMesh();
+        }
+    }
+
+    // Builds a tank from project file data (see PROJECT FILES).
+    addTank(data) {
+        const tank = new Tank(this, data);
+        this.tanks.push(tank);
+        this.nextTankId = Math.max(this.nextTankId, tank.id + 1);
+        return tank;
+    }
+
+    removeTank(tank) {
+        this.mesh.remove(tank.mesh);
+        tank.geometry.dispose();
+        tank.material.dispose();
+        this.tanks = this.tanks.filter(other => other !== tank);
+    }
+
+    // Shrinks and moves tanks as needed so each one stays inside the float.
+    fitTanks() {
+        const fit = (size, offset, room) => {
+            const fitted = Math.min(size, room);
+            const limit = (room - fitted) / 2;
+            return [fitted, Math.max(-limit, Math.min(limit, offset))];
+        };
+        for (let tank of this.tanks) {
+            [tank.length, tank.offset.x] = fit(tank.length, tank.offset.x, this.width);
+            [tank.height, tank.offset.y] = fit(tank.height, tank.offset.y, this.height);
+            [tank.width, tank.offset.z] = fit(tank.width, tank.offset.z, this.depth);
+            tank.updateMesh();
+        }
+    }
+
+    calculateDraft(waterDensity) {
+        return calculateFloatDraft({ length: this.width, width: this.depth, weight: this.weight }, waterDensity);
+    }
+
+    calculateVolume() {
+        return this.width * this.height * this.depth;
+    }
+}
+
+// ========================================
+// CLASS: Tank
+// A ballast compartment inside a float. Length runs along X and width along Z like the
+// float's, and the offset is from the float's center to the tank's. The fluid is drawn
+// as a child of the float's mesh, filled to the current level.
+// ========================================
+class Tank {
+    constructor(float, data) {
+        this.float = float;
+        this.id = data.id;
+        this.name = data.name;
+        this.length = data.length;
+        this.width = data.width;
+        this.height = data.height;
+        this.offset = { ...data.offset };
+        this.fill = data.fill;
+        this.density = data.density;
+
+        this.geometry = new THREE.BoxGeometry(1, 1, 1);
+        this.material = new THREE.MeshPhongMaterial({ color: TANK_FLUID_COLOR, transparent: true, opacity: 0.6 });
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        float.mesh.add(this.mesh);
+        this.updateMesh();
+    }
+
+    // The fluid in the tank, or in the tank filled to fill instead; see calculateTankContents().
+    getContents(fill = this.fill) {
+        return calculateTankContents(getTankDescription({ ...this, fill }, this.float.restPosition));
+    }
+
+    updateMesh() {
+        const level = this.height * this.fill;
+        this.mesh.visible = level > 0;
+        this.mesh.scale.set(this.length, Math.max(level, 0.01), this.width);
+        this.mesh.position.set(this.offset.x, this.offset.y - this.height / 2 + level / 2, this.offset.z);
     }
 }
 
@@ -39,7 +279,7 @@ class Float {
 // CLASS: Item
 // ========================================
 class Item {
-    constructor() {
+    constructor(id) {
         this.width = 2;
         this.height = 2;
         this.depth = 2;
@@ -48,6 +288,16 @@ class Item {
         this.geometry = new THREE.BoxGeometry(this.width, this.height, this.depth);
         this.material = new THREE.MeshPhongMaterial({ color: this.color });
         this.mesh = new THREE.Mesh(this.geometry, this.material);
+
+        this.id = id;
+        this.name = 'Item ' + id;
+        this.weight = 1000;
+        // CG relative to the center of the item's base, so cgHeight is measured up from the deck
+        this.cgOffsetX = 0;
+        this.cgHeight = this.height / 2;
+        this.cgOffsetZ = 0;
+        // Locked items stay where they are when the placement optimizer runs
+        this.locked = false;
     }
 
     setPosition(x, y, z) {
@@ -57,6 +307,96 @@ class Item {
     getPosition() {
         return this.mesh.position;
     }
+
+    setDimensions(width, height, depth) {
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+
+        this.mesh.geometry.dispose();
+        this.geometry = new THREE.BoxGeometry(this.width, this.height, this.depth);
+        this.mesh.geometry = this.geometry;
+    }
+
+    setColor(color) {
+        this.color = color;
+        this.material.color.setHex(color);
+    }
+
+    setHighlighted(highlighted) {
+        this.material.emissive.setHex(highlighted ? SELECTION_EMISSIVE : 0x000000);
+    }
+
+    // See getItemCenterGravity() in PROJECT FILES.
+    getCenterGravity() {
+        return getItemCenterGravity(this.restPosition, this.height, { offsetX: this.cgOffsetX, height: this.cgHeight, offsetZ: this.cgOffsetZ });
+    }
+}
+
+// ========================================
+// CLASS: Crane
+// An item whose hook load hangs from the boom tip. The item itself is the crane's
+// base and carries the crane's own weight and CG; the boom, rope and hook load are
+// drawn as children of its mesh so they follow the barge's tilt.
+// ========================================
+class Crane extends Item {
+    constructor(id) {
+        super(id);
+        this.name = 'Crane ' + id;
+        this.weight = 5000;
+        this.setColor(0x607d8b);
+        this.radius = 12;
+        this.slew = 0;
+        this.boomHeight = 15;
+        this.hookLoad = 1000;
+
+        const rigMaterial = () => new THREE.MeshPhongMaterial({ color: CRANE_RIG_COLOR });
+        this.boom = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.25, 1, 8), rigMaterial());
+        this.rope = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 1, 4), rigMaterial());
+        this.hook = new THREE.Mesh(new THREE.BoxGeometry(1.5, 1.5, 1.5), rigMaterial());
+        this.mesh.add(this.boom, this.rope, this.hook);
+
+        this.setDimensions(6, 4, 6);
+        this.cgHeight = this.height / 2;
+    }
+
+    setDimensions(width, height, depth) {
+        super.setDimensions(width, height, depth);
+        this.updateRig();
+    }
+
+    setCrane({ radius, slew, boomHeight, hookLoad }) {
+        this.radius = radius;
+        this.slew = slew;
+        this.boomHeight = boomHeight;
+        this.hookLoad = hookLoad;
+        this.updateRig();
+    }
+
+    // Boom tip in barge coordinates; see getBoomTip() in PROJECT FILES.
+    getBoomTip() {
+        return getBoomTip(this.restPosition, this.height, this);
+    }
+
+    // The boom runs from the top of the base to the tip and the hook load hangs halfway down
+    // to the base. Only the tip matters for stability; the rope length is just for the view.
+    updateRig() {
+        const tip = getBoomTip({ x: 0, y: 0, z: 0 }, this.height, this);
+        const foot = new THREE.Vector3(0, this.height / 2, 0);
+        const boom = new THREE.Vector3(tip.x, tip.y, tip.z).sub(foot);
+        const hookY = tip.y - Math.max(0, this.boomHeight - this.height) / 2;
+
+        this.boom.scale.set(1, Math.max(boom.length(), 0.01), 1);
+        this.boom.position.copy(foot).addScaledVector(boom, 0.5);
+        if (boom.length() > 0) {
+            this.boom.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), boom.clone().normalize());
+        }
+
+        this.rope.scale.set(1, Math.max(tip.y - hookY, 0.01), 1);
+        this.rope.position.set(tip.x, (tip.y + hookY) / 2, tip.z);
+        this.hook.position.set(tip.x, hookY, tip.z);
+        this.hook.visible = this.rope.visible = this.hookLoad > 0;
+    }
 }
 
 // ========================================
@@ -68,50 +408,111 @@ class Barge {
         this.floats = [];
         this.items = [];
         this.nextFloatId = 1;
+        this.nextItemId = 1;
+        this.waterDensity = WATER_DENSITIES.fresh;
         this.centerFlotation = new THREE.Vector3(0, 0, 0);
+        this.centerGravity = new THREE.Vector3(0, 0, 0);
+        this.centerBuoyancy = new THREE.Vector3(0, 0, 0);
+        this.draft = 0;
+        this.displacement = 0;
         this.tiltX = 0;
         this.tiltZ = 0;
+        this.isSinking = false;
+        this.equilibriumConverged = false;
+        this.layoutIssues = [];
+        this.stability = { KB: 0, KG: 0, BMt: 0, BMl: 0, GMt: 0, GMl: 0 };
+        this.criteria = createCriteria();
+        this.criteriaResults = [];
+        this.deckCorners = [];
+        this.freeboard = 0;
+        this.wind = { ...DEFAULT_WIND };
+        this.windLoad = { area: 0, centerHeight: 0, pressure: 0, force: 0, moment: 0, heelingArm: { x: 0, z: 0 } };
+        // Load sequence, see LOAD STAGES in stages.mjs
+        this.stages = [];
+        // Regular wave setting, and the clock that moves it along (not saved)
+        this.wave = { ...DEFAULT_WAVE };
+        this.waveTime = 0;
+        // Seabed under the barge, and how it sits on it at the solved equilibrium
+        this.seabed = { ...DEFAULT_SEABED };
+        this.keelCorners = [];
+        this.keelClearance = Infinity;
+        this.groundReaction = 0;
+        // Set by the dynamic simulation to draw the barge at its simulated pose instead of the static one
+        this.dynamicPose = null;
+        // Hydrostatics of the barge as it stands, shared until the model changes; see getHydrostatics()
+        this.hydrostatics = null;
 
         this.addFloat();
         this.addItem();
     }
 
-    calculateCenterFlotation() {
-        if (this.floats.length === 0) return;
+    // Plain description of the barge for the Hydrostatics class, built from the project file
+    // data by projectToHydrostatics() so the app, the command line runner and the stage solver
+    // all see the same barge. The wave is as it stands at waveTime; tools that plan the loading
+    // rather than show the barge now ask for still water.
+    getDescription(stillWater = false) {
+        return {
+            ...projectToHydrostatics(this.toJSON()),
+            wave: stillWater ? null : { ...this.wave, time: this.waveTime }
+        };
+    }
+
+    // The barge as it stands is built once per update() and shared by everything that reads it
+    // until invalidateHydrostatics(); still water is built fresh each time, as the tools that ask
+    // for it move things around first.
+    getHydrostatics(stillWater = false) {
+        if (stillWater) return new Hydrostatics(this.getDescription(true));
+        if (!this.hydrostatics) {
+            this.hydrostatics = new Hydrostatics(this.getDescription());
+        }
+        return this.hydrostatics;
+    }
 
-        let totalArea = 0;
-        let weightedX = 0;
-        let weightedZ = 0;
+    invalidateHydrostatics() {
+        this.hydrostatics = null;
+    }
 
-        for (let float of this.floats) {
-            const area = float.width * float.depth;
-            const pos = float.getPosition();
+    // A new tank fills the whole float and holds ballast of the current water density.
+    addTank(float) {
+        const id = float.nextTankId;
+        return float.addTank({
+            id,
+            name: 'Tank ' + id,
+            length: float.width,
+            width: float.depth,
+            height: float.height,
+            offset: { x: 0, y: 0, z: 0 },
+            fill: 0,
+            density: this.waterDensity
+        });
+    }
 
-            totalArea += area;
-            weightedX += pos.x * area;
-            weightedZ += pos.z * area;
-        }
+    // Fill levels for every tank, in floats-then-tanks order, that would float the barge level,
+    // with the heel and trim those fills actually give.
+    suggestBallast() {
+        return suggestBallast(this.getDescription(true), { tiltX: this.tiltX, tiltZ: this.tiltZ, draft: this.draft });
+    }
 
-        this.centerFlotation.set(
-            weightedX / totalArea,
-            0,
-            weightedZ / totalArea
-        );
+    calculateCenterFlotation() {
+        if (this.floats.length === 0) return;
+
+        const center = this.getHydrostatics().centerFlotation;
+        this.centerFlotation.set(center.x, 0, center.z);
     }
 
     calculateArea() {
-        let totalArea = 0;
-        for (let float of this.floats) {
-            totalArea += float.width * float.depth;
-        }
-        return totalArea;
+        return this.getHydrostatics().calculateArea();
+    }
+
+    calculateMetacentricHeight() {
+        return this.getHydrostatics().calculateMetacentricHeight(this.draft);
     }
 
     addFloat() {
         const float = new Float(this.nextFloatId);
         this.nextFloatId++;
 
-        const draft = float.calculateDraft();
+        const draft = float.calculateDraft(this.waterDensity);
         const yPosition = -draft + float.height / 2;
 
         let xPosition = 0;
@@ -119,9 +520,8 @@ class Barge {
 
         if (this.floats.length > 0) {
             const lastFloat = this.floats[this.floats.length - 1];
-            const lastPos = lastFloat.getPosition();
-            xPosition = lastPos.x + lastFloat.width / 2 + float.width / 2;
-            zPosition = lastPos.z;
+            xPosition = this.getExtents().maxX + float.width / 2;
+            zPosition = lastFloat.restPosition.z;
         }
 
         float.setPosition(xPosition, yPosition, zPosition);
@@ -129,208 +529,993 @@ class Barge {
 
         this.scene.add(float.mesh);
         this.floats.push(float);
+        this.invalidateHydrostatics();
         this.calculateCenterFlotation();
 
         return float;
     }
 
-    addItem() {
-        const item = new Item();
-        const float = this.floats[0];
-        const initialY = float.getPosition().y + float.height / 2 + item.height / 2;
+    getDeckY(x, z) {
+        let deckY = -Infinity;
+        let underDeckY = -Infinity;
+        for (let float of this.floats) {
+            const pos = float.restPosition;
+            const top = pos.y + float.height / 2;
+            deckY = Math.max(deckY, top);
+            if (Math.abs(x - pos.x) <= float.width / 2 && Math.abs(z - pos.z) <= float.depth / 2) {
+                underDeckY = Math.max(underDeckY, top);
+            }
+        }
+        return underDeckY > -Infinity ? underDeckY : deckY;
+    }
+
+    addItem(type = Item) {
+        const item = new type(this.nextItemId);
+        this.nextItemId++;
+        const initialY = this.getDeckY(this.centerFlotation.x, this.centerFlotation.z) + item.height / 2;
 
         item.setPosition(
             this.centerFlotation.x,
             initialY,
             this.centerFlotation.z
         );
+        item.restPosition = { x: this.centerFlotation.x, y: initialY, z: this.centerFlotation.z };
         this.scene.add(item.mesh);
         this.items.push(item);
+        this.invalidateHydrostatics();
         return item;
     }
 
     calculateTilt() {
-        if (this.items.length > 0) {
-            const item = this.items[0];
-            const itemPos = item.getPosition();
+        this.solveEquilibrium();
+    }
 
-            const offsetX = itemPos.x - this.centerFlotation.x;
-            const offsetZ = itemPos.z - this.centerFlotation.z;
+    getKeelY() {
+        return this.getHydrostatics().keelY;
+    }
 
-            const maxTilt = 0.05;
+    calculateCenterGravity() {
+        const hydrostatics = this.getHydrostatics();
+        const center = hydrostatics.centerGravity;
+        this.centerGravity.set(center.x, center.y, center.z);
+        return hydrostatics.weight;
+    }
 
-            this.tiltX = -(offsetZ / 5) * maxTilt;
-            this.tiltZ = (offsetX / 10) * maxTilt;
-        }
+    getExtents() {
+        return this.getHydrostatics().getExtents();
     }
 
-    applyTiltToFloats() {
-        for (let float of this.floats) {
-            const restX = float.restPosition.x;
-            const restY = float.restPosition.y;
-            const restZ = float.restPosition.z;
+    solveEquilibrium() {
+        if (this.floats.length === 0) return;
+
+        const hydrostatics = this.getHydrostatics();
+        const center = hydrostatics.centerGravity;
+        this.centerGravity.set(center.x, center.y, center.z);
+        this.windLoad = hydrostatics.calculateWindLoad();
+        if (hydrostatics.weight <= 0) return;
+
+        // A failed solve may have left the angles anywhere, so only warm-start from a converged one
+        const start = this.equilibriumConverged
+            ? { tiltX: this.tiltX, tiltZ: this.tiltZ, draft: this.draft }
+            : { tiltX: 0, tiltZ: 0, draft: this.draft };
+        const result = hydrostatics.solveEquilibrium(start);
+
+        this.isSinking = result.isSinking;
+        this.equilibriumConverged = result.converged;
+        this.draft = result.draft;
+        this.displacement = result.displacement;
+        this.groundReaction = result.groundReaction;
+        if (result.isSinking) return;
+
+        this.tiltX = result.tiltX;
+        this.tiltZ = result.tiltZ;
+        this.centerBuoyancy.set(result.centerBuoyancy.x, result.centerBuoyancy.y, result.centerBuoyancy.z);
+    }
+
+    calculateGZCurve(axis = 'heel', maxAngle = 60, step = 2) {
+        const equilibrium = { tiltX: this.tiltX, tiltZ: this.tiltZ, draft: this.draft };
+        return this.getHydrostatics().calculateGZCurve(equilibrium, axis, maxAngle, step);
+    }
+
+    // Equilibrium with the crane slewed through a full circle, everything else unchanged.
+    // The worst slew is the one tilting the deck furthest from level, or the first one
+    // without a floating equilibrium.
+    calculateSlewSweep(crane, step = SLEW_SWEEP_STEP) {
+        const slew = crane.slew;
+        const points = [];
+        let equilibrium = { tiltX: this.tiltX, tiltZ: this.tiltZ, draft: this.draft };
+
+        for (let angle = 0; angle < 360; angle += step) {
+            crane.slew = angle;
+            const hydrostatics = this.getHydrostatics(true);
+            const solved = hydrostatics.solveEquilibrium(equilibrium);
+            const floating = solved.converged && !solved.isSinking;
+            if (floating) {
+                equilibrium = solved;
+            }
+            points.push({
+                slew: angle,
+                floating,
+                heel: solved.tiltX * 180 / Math.PI,
+                trim: solved.tiltZ * 180 / Math.PI,
+                inclination: Math.acos(Math.cos(solved.tiltX) * Math.cos(solved.tiltZ)) * 180 / Math.PI,
+                freeboard: floating
+                    ? hydrostatics.calculateMinDeckHeight(hydrostatics.getWaterline(solved.draft, solved.tiltX, solved.tiltZ))
+                    : null
+            });
+        }
+        crane.slew = slew;
 
-            const relativeX = restX - this.centerFlotation.x;
-            const relativeZ = restZ - this.centerFlotation.z;
-            const relativeY = restY - this.centerFlotation.y;
+        const worst = points.find(point => !point.floating) ||
+            points.reduce((worst, point) => point.inclination > worst.inclination ? point : worst);
+        return { points, worst };
+    }
 
-            const cosX = Math.cos(-this.tiltX);
-            const sinX = Math.sin(-this.tiltX);
-            const cosZ = Math.cos(-this.tiltZ);
-            const sinZ = Math.sin(-this.tiltZ);
+    // Shear force and bending moment along X at the current equilibrium, with every float-to-float
+    // joint checked against the connector capacities of the floats either side.
+    calculateStrength() {
+        const strength = calculateLongitudinalStrength(this.getHydrostatics(), { draft: this.draft, tiltX: this.tiltX, tiltZ: this.tiltZ });
+        strength.joints = checkJoints(strength.joints, this.floats.map(float => float.connector)).map(joint => ({
+            ...joint,
+            aft: this.floats[joint.aft],
+            fore: this.floats[joint.fore]
+        }));
+        return strength;
+    }
 
-            let tempX = relativeX * cosZ - relativeY * sinZ;
-            let tempY = relativeX * sinZ + relativeY * cosZ;
-            let tempZ = relativeZ;
+    toWorld(restPosition) {
+        if (this.dynamicPose) {
+            return new THREE.Vector3(restPosition.x, restPosition.y, restPosition.z)
+                .sub(this.dynamicPose.center)
+                .applyQuaternion(this.dynamicPose.quaternion)
+                .add(this.dynamicPose.position);
+        }
 
-            let newY = tempY * cosX - tempZ * sinX;
-            let newZ = tempY * sinX + tempZ * cosX;
-            let newX = tempX;
+        const pivot = new THREE.Vector3(this.centerFlotation.x, this.getKeelY() + this.draft, this.centerFlotation.z);
+        return new THREE.Vector3(restPosition.x, restPosition.y, restPosition.z)
+            .sub(pivot)
+            .applyEuler(new THREE.Euler(-this.tiltX, 0, -this.tiltZ))
+            .add(new THREE.Vector3(pivot.x, 0, pivot.z));
+    }
 
-            float.mesh.position.x = this.centerFlotation.x + newX;
-            float.mesh.position.y = this.centerFlotation.y + newY;
-            float.mesh.position.z = this.centerFlotation.z + newZ;
+    applyPose(object) {
+        object.mesh.position.copy(this.toWorld(object.restPosition));
+        if (this.dynamicPose) {
+            object.mesh.quaternion.copy(this.dynamicPose.quaternion);
+        } else {
+            object.mesh.rotation.set(-this.tiltX, 0, -this.tiltZ);
+        }
+    }
 
-            float.mesh.rotation.x = -this.tiltX;
-            float.mesh.rotation.z = -this.tiltZ;
+    applyTiltToFloats() {
+        for (let float of this.floats) {
+            this.applyPose(float);
         }
     }
 
     updateItemPositions() {
         for (let item of this.items) {
-            const itemPos = item.getPosition();
-            const float = this.floats[0];
-            const centerSurfaceY = float.restPosition.y + float.height / 2;
+            this.applyPose(item);
+        }
+    }
+
+    update() {
+        this.invalidateHydrostatics();
+        this.calculateCenterFlotation();
+        this.validateLayout();
+        if (this.layoutIssues.length === 0) {
+            this.calculateTilt();
+            this.stability = this.calculateMetacentricHeight();
+        }
+        this.calculateFreeboard();
+        this.calculateKeelClearance();
+        this.checkCriteria();
+        this.applyTiltToFloats();
+        this.updateItemPositions();
+    }
+
+    calculateFreeboard() {
+        const hydrostatics = this.getHydrostatics();
+        const waterline = hydrostatics.getWaterline(this.draft, this.tiltX, this.tiltZ);
+        this.deckCorners = hydrostatics.calculateFreeboards(waterline);
+        this.freeboard = Math.min(...this.deckCorners.map(corner => corner.freeboard));
+        return this.freeboard;
+    }
+
+    calculateKeelClearance() {
+        const hydrostatics = this.getHydrostatics();
+        const waterline = hydrostatics.getWaterline(this.draft, this.tiltX, this.tiltZ);
+        this.keelCorners = hydrostatics.calculateKeelClearances(waterline);
+        this.keelClearance = Math.min(...this.keelCorners.map(corner => corner.clearance));
+        return this.keelClearance;
+    }
+
+    // Freeboard below which deck corners are flagged: the enabled freeboard criterion's limit, or
+    // null with none enabled, when only corners under water are.
+    getMinFreeboard() {
+        return getCriterionLimit(this.criteria, 'freeboard');
+    }
+
+    // Floats with a bottom corner in the seabed.
+    getGroundedFloats() {
+        return this.floats.filter((float, i) => this.keelCorners.some(corner => corner.float === i && corner.clearance < 0));
+    }
+
+    checkCriteria() {
+        const equilibrium = {
+            tiltX: this.tiltX,
+            tiltZ: this.tiltZ,
+            draft: this.draft,
+            converged: this.equilibriumConverged && this.layoutIssues.length === 0,
+            isSinking: this.isSinking
+        };
+        this.criteriaResults = evaluateCriteria(this.criteria, measureCriteria(this.getHydrostatics(), equilibrium));
+        return this.criteriaResults;
+    }
 
-            const relativeX = itemPos.x - this.centerFlotation.x;
-            const relativeZ = itemPos.z - this.centerFlotation.z;
+    // Floats must not overlap and must all be joined edge-to-edge into one barge;
+    // anything else is flagged and kept out of the stability calculation.
+    validateLayout() {
+        const issues = [];
+        const flagged = new Set();
+        const neighbours = new Map(this.floats.map(float => [float, []]));
+
+        for (let i = 0; i < this.floats.length; i++) {
+            for (let j = i + 1; j < this.floats.length; j++) {
+                const a = this.floats[i];
+                const b = this.floats[j];
+                const fa = a.getFootprint();
+                const fb = b.getFootprint();
+                const overlapX = Math.min(fa.maxX, fb.maxX) - Math.max(fa.minX, fb.minX);
+                const overlapZ = Math.min(fa.maxZ, fb.maxZ) - Math.max(fa.minZ, fb.minZ);
+                const overlapY = Math.min(a.restPosition.y + a.height / 2, b.restPosition.y + b.height / 2) -
+                    Math.max(a.restPosition.y - a.height / 2, b.restPosition.y - b.height / 2);
+
+                if (overlapX > LAYOUT_TOLERANCE && overlapZ > LAYOUT_TOLERANCE && overlapY > LAYOUT_TOLERANCE) {
+                    issues.push(`Float ${b.id} overlaps Float ${a.id}`);
+                    flagged.add(a);
+                    flagged.add(b);
+                }
+                if (overlapX > -LAYOUT_TOLERANCE && overlapZ > -LAYOUT_TOLERANCE &&
+                    Math.max(overlapX, overlapZ) > LAYOUT_TOLERANCE) {
+                    neighbours.get(a).push(b);
+                    neighbours.get(b).push(a);
+                }
+            }
+        }
 
-            const surfacePoint = {
-                x: relativeX,
-                y: centerSurfaceY - this.centerFlotation.y,
-                z: relativeZ
-            };
+        const groups = [];
+        const visited = new Set();
+        for (let float of this.floats) {
+            if (visited.has(float)) continue;
+            const group = [];
+            const stack = [float];
+            visited.add(float);
+            while (stack.length > 0) {
+                const current = stack.pop();
+                group.push(current);
+                for (let next of neighbours.get(current)) {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        stack.push(next);
+                    }
+                }
+            }
+            groups.push(group);
+        }
 
-            const cosX = Math.cos(-this.tiltX);
-            const sinX = Math.sin(-this.tiltX);
-            const cosZ = Math.cos(-this.tiltZ);
-            const sinZ = Math.sin(-this.tiltZ);
+        const mainGroup = groups.reduce((largest, group) => group.length > largest.length ? group : largest, []);
+        for (let group of groups) {
+            if (group === mainGroup) continue;
+            for (let float of group) {
+                issues.push(`Float ${float.id} is not connected to the barge`);
+                flagged.add(float);
+            }
+        }
 
-            let y1 = surfacePoint.y * cosX - surfacePoint.z * sinX;
-            let z1 = surfacePoint.y * sinX + surfacePoint.z * cosX;
-            let x1 = surfacePoint.x;
+        for (let float of this.floats) {
+            float.setFlagged(flagged.has(float));
+        }
+        this.layoutIssues = issues;
+        return issues;
+    }
 
-            let x2 = x1 * cosZ - y1 * sinZ;
-            let y2 = x1 * sinZ + y1 * cosZ;
-            let z2 = z1;
+    // Grid snap, overridden by an edge-to-edge snap when another float's edge is close.
+    snapFloatPosition(float, x, z) {
+        const snapAxis = (value, halfSize, edges) => {
+            let best = Math.round(value / LAYOUT_GRID_SIZE) * LAYOUT_GRID_SIZE;
+            let bestDistance = LAYOUT_SNAP_DISTANCE;
+            for (let edge of edges) {
+                for (let candidate of [edge - halfSize, edge + halfSize]) {
+                    const distance = Math.abs(candidate - value);
+                    if (distance < bestDistance) {
+                        best = candidate;
+                        bestDistance = distance;
+                    }
+                }
+            }
+            return best;
+        };
+
+        const others = this.floats.filter(other => other !== float).map(other => other.getFootprint());
+        return {
+            x: snapAxis(x, float.width / 2, others.flatMap(f => [f.minX, f.maxX])),
+            z: snapAxis(z, float.depth / 2, others.flatMap(f => [f.minZ, f.maxZ]))
+        };
+    }
 
-            const rotatedSurfaceY = this.centerFlotation.y + y2;
+    moveFloat(float, x, z) {
+        const snapped = this.snapFloatPosition(float, x, z);
+        const deltaX = snapped.x - float.restPosition.x;
+        const deltaZ = snapped.z - float.restPosition.z;
+        if (deltaX === 0 && deltaZ === 0) return;
 
-            item.mesh.position.y = rotatedSurfaceY + item.height / 2;
-            item.mesh.rotation.x = -this.tiltX;
-            item.mesh.rotation.z = -this.tiltZ;
+        const footprint = float.getFootprint();
+        for (let item of this.items) {
+            const pos = item.restPosition;
+            if (pos.x >= footprint.minX && pos.x <= footprint.maxX && pos.z >= footprint.minZ && pos.z <= footprint.maxZ) {
+                pos.x += deltaX;
+                pos.z += deltaZ;
+            }
         }
+
+        float.restPosition.x = snapped.x;
+        float.restPosition.z = snapped.z;
+        this.update();
     }
 
-    update() {
-        this.calculateCenterFlotation();
-        this.calculateTilt();
-        this.applyTiltToFloats();
-        this.updateItemPositions();
+    rotateFloat(float) {
+        float.rotate90();
+        const snapped = this.snapFloatPosition(float, float.restPosition.x, float.restPosition.z);
+        float.restPosition.x = snapped.x;
+        float.restPosition.z = snapped.z;
+        this.update();
     }
 
     moveItem(itemIndex, x, z) {
         if (itemIndex < this.items.length) {
             const item = this.items[itemIndex];
-            const mainFloat = this.floats[0];
+            const extents = this.getExtents();
 
-            const halfWidth = mainFloat.width / 2 - 1;
-            const halfDepth = mainFloat.depth / 2 - 1;
+            const minX = Math.min(extents.minX + item.width / 2, (extents.minX + extents.maxX) / 2);
+            const maxX = Math.max(extents.maxX - item.width / 2, (extents.minX + extents.maxX) / 2);
+            const minZ = Math.min(extents.minZ + item.depth / 2, (extents.minZ + extents.maxZ) / 2);
+            const maxZ = Math.max(extents.maxZ - item.depth / 2, (extents.minZ + extents.maxZ) / 2);
 
-            const constrainedX = Math.max(-halfWidth, Math.min(halfWidth, x));
-            const constrainedZ = Math.max(-halfDepth, Math.min(halfDepth, z));
+            const constrainedX = Math.max(minX, Math.min(maxX, x));
+            const constrainedZ = Math.max(minZ, Math.min(maxZ, z));
 
-            item.mesh.position.x = constrainedX;
-            item.mesh.position.z = constrainedZ;
+            item.restPosition.x = constrainedX;
+            item.restPosition.y = this.getDeckY(constrainedX, constrainedZ) + item.height / 2;
+            item.restPosition.z = constrainedZ;
 
             this.update();
         }
     }
 
+    // Whether (x, z) is over a float rather than a gap between floats.
+    isOverDeck(x, z) {
+        return this.floats.some(float => Math.abs(x - float.restPosition.x) <= float.width / 2 &&
+            Math.abs(z - float.restPosition.z) <= float.depth / 2);
+    }
+
+    // Equilibrium with the item moved to (x, z) on the deck, checked against the stability
+    // criteria. The item itself stays where it is.
+    evaluatePlacement(item, x, z, guess) {
+        const restPosition = item.restPosition;
+        item.restPosition = { x, y: this.getDeckY(x, z) + item.height / 2, z };
+        const hydrostatics = this.getHydrostatics(true);
+        item.restPosition = restPosition;
+
+        const equilibrium = hydrostatics.solveEquilibrium(guess);
+        const floating = equilibrium.converged && !equilibrium.isSinking;
+        const values = measureCriteria(hydrostatics, equilibrium);
+        const passed = floating && evaluateCriteria(this.criteria, values).every(result => result.passed);
+        return { equilibrium, floating, values, passed };
+    }
+
+    // Positions for the movable items that level the barge ('level') or leave it the most
+    // freeboard ('freeboard'), with every other item where it is. Nothing is moved here;
+    // apply the result with moveItem().
+    optimizePlacement(movable, objective) {
+        let guess = { tiltX: this.tiltX, tiltZ: this.tiltZ, draft: this.draft };
+        const restPositions = this.items.map(item => item.restPosition);
+
+        const evaluate = (positions) => {
+            this.items.forEach((item, i) => {
+                const { x, z } = positions[i];
+                item.restPosition = { x, y: this.getDeckY(x, z) + item.height / 2, z };
+            });
+            const hydrostatics = this.getHydrostatics(true);
+            this.items.forEach((item, i) => {
+                item.restPosition = restPositions[i];
+            });
+
+            const equilibrium = hydrostatics.solveEquilibrium(guess);
+            if (!equilibrium.converged || equilibrium.isSinking) return Infinity;
+            guess = equilibrium;
+            if (objective === 'freeboard') {
+                return -hydrostatics.calculateMinDeckHeight(
+                    hydrostatics.getWaterline(equilibrium.draft, equilibrium.tiltX, equilibrium.tiltZ));
+            }
+            return (equilibrium.tiltX * 180 / Math.PI) ** 2 + (equilibrium.tiltZ * 180 / Math.PI) ** 2;
+        };
+
+        const result = optimizePlacement(
+            this.items.map(item => ({
+                x: item.restPosition.x,
+                z: item.restPosition.z,
+                length: item.width,
+                width: item.depth,
+                movable: movable.includes(item)
+            })),
+            this.getExtents(),
+            (x, z) => this.isOverDeck(x, z),
+            evaluate
+        );
+        return result.positions
+            .map((position, i) => ({ item: this.items[i], x: position.x, z: position.z }))
+            .filter(position => movable.includes(position.item));
+    }
+
     getItem(index = 0) {
         return this.items[index];
     }
 
+    // Rigging and tank fluid are children of their object's mesh, so a hit on them counts as the object.
+    findByMesh(mesh) {
+        const objects = [...this.items, ...this.floats];
+        for (; mesh; mesh = mesh.parent) {
+            const found = objects.find(object => object.mesh === mesh);
+            if (found) return found;
+        }
+        return null;
+    }
+
     getFloat(index = 0) {
         return this.floats[index];
     }
-}
-
-// ========================================
-// MAIN APPLICATION VARIABLES
-// ========================================
-let scene, camera, renderer;
-let barge, water, plane;
-let raycaster, mouse, isDragging = false;
-let coordinatesDiv, coordinatesTimeout;
-let axesScene, axesCamera, axesRenderer;
-let isPerspective = true;
-let cornerLabels = [];
 
-init();
-animate();
+    removeObjects(objects) {
+        for (let object of objects) {
+            this.scene.remove(object.mesh);
+            object.mesh.traverse(mesh => {
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            });
+        }
+        this.floats = this.floats.filter(float => !objects.includes(float));
+        this.items = this.items.filter(item => !objects.includes(item));
+        this.invalidateHydrostatics();
+    }
 
-function init() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87ceeb);
+    clear() {
+        this.removeObjects([...this.floats, ...this.items]);
+        this.floats = [];
+        this.items = [];
+        this.nextFloatId = 1;
+        this.nextItemId = 1;
+        this.draft = 0;
+        this.tiltX = 0;
+        this.tiltZ = 0;
+        this.equilibriumConverged = false;
+        this.layoutIssues = [];
+        this.stages = [];
+    }
 
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.set(25, 15, 25);
-    camera.lookAt(0, 0, 0);
+    // The items as project file data (see PROJECT FILES).
+    getItemData() {
+        return this.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            length: item.width,
+            width: item.depth,
+            height: item.height,
+            weight: item.weight,
+            color: '#' + item.color.toString(16).padStart(6, '0'),
+            cg: { offsetX: item.cgOffsetX, height: item.cgHeight, offsetZ: item.cgOffsetZ },
+            position: { ...item.restPosition },
+            locked: item.locked,
+            ...(item instanceof Crane ? {
+                crane: { radius: item.radius, slew: item.slew, boomHeight: item.boomHeight, hookLoad: item.hookLoad }
+            } : {})
+        }));
+    }
 
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    document.getElementById('container').appendChild(renderer.domElement);
+    toJSON() {
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            waterDensity: this.waterDensity,
+            wind: { ...this.wind },
+            wave: { ...this.wave },
+            seabed: { ...this.seabed },
+            floats: this.floats.map(float => ({
+                id: float.id,
+                length: float.width,
+                width: float.depth,
+                height: float.height,
+                weight: float.weight,
+                position: { ...float.restPosition },
+                flooded: float.flooded,
+                permeability: float.permeability,
+                connector: { ...float.connector },
+                tanks: float.tanks.map(tank => ({
+                    id: tank.id,
+                    name: tank.name,
+                    length: tank.length,
+                    width: tank.width,
+                    height: tank.height,
+                    offset: { ...tank.offset },
+                    fill: tank.fill,
+                    density: tank.density
+                }))
+            })),
+            items: this.getItemData(),
+            stages: this.stages.map(copyStage),
+            criteria: {
+                preset: this.criteria.preset,
+                rules: this.criteria.rules.map(rule => ({ ...rule }))
+            }
+        };
+    }
 
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
+    // Expects a project that has already been through parseProject().
+    loadJSON(project) {
+        this.clear();
+        this.waterDensity = project.waterDensity;
+        this.wind = { ...project.wind };
+        this.wave = { ...project.wave };
+        this.seabed = { ...project.seabed };
+        this.criteria = {
+            preset: project.criteria.preset,
+            rules: project.criteria.rules.map(rule => ({ ...rule }))
+        };
+
+        for (let data of project.floats) {
+            this.createFloat(data);
+        }
+        for (let data of project.items) {
+            this.createItem(data);
+        }
+        // Items only on some stages keep their ids, so new items must not reuse them
+        this.stages = project.stages.map(copyStage);
+        for (let stage of this.stages) {
+            for (let data of stage.items) {
+                this.nextItemId = Math.max(this.nextItemId, data.id + 1);
+            }
+        }
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(10, 20, 10);
-    scene.add(directionalLight);
+        this.calculateCenterFlotation();
+        this.update();
+    }
 
-    const waterGeometry = new THREE.PlaneGeometry(100, 100);
-    const waterMaterial = new THREE.MeshPhongMaterial({
-        color: 0x1e90ff,
-        transparent: true,
-        opacity: 0.6,
-        side: THREE.DoubleSide
-    });
-    water = new THREE.Mesh(waterGeometry, waterMaterial);
-    water.rotation.x = -Math.PI / 2;
-    water.position.y = 0;
-    scene.add(water);
+    // Builds a float from project file data (see PROJECT FILES).
+    createFloat(data) {
+        const float = new Float(data.id);
+        float.width = data.length;
+        float.depth = data.width;
+        float.height = data.height;
+        float.weight = data.weight;
+        float.mesh.geometry.dispose();
+        float.geometry = new THREE.BoxGeometry(float.width, float.height, float.depth);
+        float.mesh.geometry = float.geometry;
+        float.restPosition = { ...data.position };
+        float.setPosition(data.position.x, data.position.y, data.position.z);
+        float.permeability = data.permeability;
+        float.setFlooded(data.flooded);
+        float.connector = { ...data.connector };
+        for (let tank of data.tanks) {
+            float.addTank(tank);
+        }
 
-    barge = new Barge(scene);
+        this.scene.add(float.mesh);
+        this.floats.push(float);
+        this.nextFloatId = Math.max(this.nextFloatId, float.id + 1);
+        this.invalidateHydrostatics();
+        return float;
+    }
 
-    const mainFloat = barge.getFloat(0);
-    const planeGeometry = new THREE.PlaneGeometry(mainFloat.width, mainFloat.depth);
-    const planeMaterial = new THREE.MeshBasicMaterial({ visible: false });
-    plane = new THREE.Mesh(planeGeometry, planeMaterial);
-    plane.rotation.x = -Math.PI / 2;
-    const floatPos = mainFloat.getPosition();
-    plane.position.y = floatPos.y + mainFloat.height / 2;
-    scene.add(plane);
+    // Builds an item, or a crane if it has crane data, from project file data; without a
+    // color it keeps the default one.
+    createItem(data) {
+        const item = data.crane ? new Crane(data.id) : new Item(data.id);
+        this.applyItemData(item, data);
 
-    raycaster = new THREE.Raycaster();
-    mouse = new THREE.Vector2();
+        this.scene.add(item.mesh);
+        this.items.push(item);
+        this.nextItemId = Math.max(this.nextItemId, item.id + 1);
+        this.invalidateHydrostatics();
+        return item;
+    }
+
+    applyItemData(item, data) {
+        item.name = data.name;
+        item.weight = data.weight;
+        if (item.width !== data.length || item.height !== data.height || item.depth !== data.width) {
+            item.setDimensions(data.length, data.height, data.width);
+        }
+        if (data.color) {
+            item.setColor(parseInt(data.color.slice(1), 16));
+        }
+        item.cgOffsetX = data.cg.offsetX;
+        item.cgHeight = data.cg.height;
+        item.cgOffsetZ = data.cg.offsetZ;
+        item.restPosition = { ...data.position };
+        item.setPosition(data.position.x, data.position.y, data.position.z);
+        item.locked = data.locked;
+        if (data.crane) {
+            item.setCrane(data.crane);
+        }
+    }
+
+    // Puts the given items (project file data) on the deck in place of the current ones. Items
+    // already on the barge are updated where they are, so this is cheap enough to call every
+    // frame while stepping between load stages.
+    setItems(items) {
+        this.removeObjects(this.items.filter(item =>
+            !items.some(data => data.id === item.id && !data.crane === !(item instanceof Crane))));
+        this.items = items.map(data => {
+            const item = this.items.find(candidate => candidate.id === data.id && !data.crane === !(candidate instanceof Crane));
+            if (!item) return this.createItem(data);
+            this.applyItemData(item, data);
+            return item;
+        });
+        this.update();
+    }
+
+    // Adds a stage holding the items as they are now.
+    addStage() {
+        const stage = { name: `Stage ${this.stages.length + 1}`, items: this.getItemData() };
+        this.stages.push(stage);
+        return stage;
+    }
+
+    solveStages() {
+        return solveStages(this.toJSON());
+    }
+
+    // Rows come from a CSV import, already in model units. A float without a Y position
+    // is placed level with the current keel, or at its own draft on an empty barge.
+    importFloats(rows, replace) {
+        if (replace) {
+            this.removeObjects([...this.floats]);
+        }
+
+        const created = rows.map(row => {
+            const keelY = this.floats.length > 0
+                ? this.getKeelY()
+                : -calculateFloatDraft({ length: row.length, width: row.width, weight: row.weight }, this.waterDensity);
+            return this.createFloat({
+                id: this.nextFloatId,
+                length: row.length,
+                width: row.width,
+                height: row.height,
+                weight: row.weight,
+                position: { x: row.x, y: row.y !== undefined ? row.y : keelY + row.height / 2, z: row.z },
+                flooded: false,
+                permeability: DEFAULT_PERMEABILITY,
+                connector: { ...DEFAULT_CONNECTOR },
+                tanks: []
+            });
+        });
+
+        this.calculateCenterFlotation();
+        this.update();
+        return created;
+    }
+
+    // Rows come from a CSV import, already in model units. Missing sizes fall back to the
+    // Add Item defaults and an item without a Y position sits on the deck.
+    importItems(rows, replace) {
+        if (replace) {
+            this.removeObjects([...this.items]);
+        }
+
+        const created = rows.map(row => {
+            const id = this.nextItemId;
+            const length = row.length !== undefined ? row.length : 2;
+            const width = row.width !== undefined ? row.width : 2;
+            const height = row.height !== undefined ? row.height : 2;
+            const y = row.y !== undefined ? row.y : this.getDeckY(row.x, row.z) + height / 2;
+            return this.createItem({
+                id,
+                name: row.name !== undefined ? row.name : 'Item ' + id,
+                length,
+                width,
+                height,
+                weight: row.weight,
+                color: row.color,
+                cg: {
+                    offsetX: row.cgOffsetX !== undefined ? row.cgOffsetX : 0,
+                    height: row.cgHeight !== undefined ? row.cgHeight : height / 2,
+                    offsetZ: row.cgOffsetZ !== undefined ? row.cgOffsetZ : 0
+                },
+                position: { x: row.x, y, z: row.z },
+                locked: false
+            });
+        });
+
+        this.update();
+        return created;
+    }
+}
+
+// ========================================
+// CLASS: BargeSimulation
+// Time-domain heave, roll and pitch of the assembled barge as one cannon.js rigid body.
+// The body sits at the barge CG; buoyancy from the submerged volume is applied at the
+// center of buoyancy every step, and cannon's linear and angular damping stand in for
+// hydrodynamic damping. Units are ft, slugs and lbf, so weights in lbs are forces.
+// ========================================
+class BargeSimulation {
+    constructor(barge) {
+        this.barge = barge;
+        this.world = new CANNON.World();
+        this.world.gravity.set(0, -SIMULATION_GRAVITY, 0);
+        this.body = new CANNON.Body({
+            mass: 1,
+            linearDamping: SIMULATION_LINEAR_DAMPING,
+            angularDamping: SIMULATION_ANGULAR_DAMPING
+        });
+        this.world.addBody(this.body);
+
+        this.running = false;
+        this.timeScale = 1;
+        this.reset();
+    }
+
+    // Starts again from the static equilibrium, at rest.
+    reset() {
+        const hydrostatics = this.barge.getHydrostatics();
+        const restRotation = new THREE.Euler(-this.barge.tiltX, 0, -this.barge.tiltZ);
+        const quaternion = new THREE.Quaternion().setFromEuler(restRotation);
+        const pivotY = hydrostatics.keelY + this.barge.draft;
+        const center = hydrostatics.centerGravity;
+        const position = new THREE.Vector3(center.x, center.y, center.z)
+            .sub(new THREE.Vector3(hydrostatics.centerFlotation.x, pivotY, hydrostatics.centerFlotation.z))
+            .applyEuler(restRotation)
+            .add(new THREE.Vector3(hydrostatics.centerFlotation.x, 0, hydrostatics.centerFlotation.z));
+
+        this.body.position.set(position.x, position.y, position.z);
+        this.body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        this.body.velocity.set(0, 0, 0);
+        this.body.angularVelocity.set(0, 0, 0);
+        this.center = { ...center };
+        this.weight = 0;
+        this.time = 0;
+        this.history = [];
+        this.status = 'Running';
+        this.syncMassProperties(hydrostatics);
+        this.record();
+    }
+
+    // Loads moved or added since the last step change the body's mass, inertia and CG.
+    // The body is shifted to the new CG without moving the hull, so the barge reacts to the
+    // change instead of jumping.
+    syncMassProperties(hydrostatics) {
+        const center = hydrostatics.centerGravity;
+        const shift = new CANNON.Vec3(center.x - this.center.x, center.y - this.center.y, center.z - this.center.z);
+        if (shift.length() > 0) {
+            this.body.position.vadd(this.body.quaternion.vmult(shift), this.body.position);
+            this.center = { ...center };
+        }
+        if (hydrostatics.weight === this.weight && shift.length() === 0) return;
+
+        const inertia = { x: 0, y: 0, z: 0 };
+        const parts = [
+            ...this.barge.floats.map(float => ({ weight: float.weight, size: [float.width, float.height, float.depth], position: float.restPosition })),
+            ...this.barge.items.map(item => ({ weight: item.weight, size: [item.width, item.height, item.depth], position: item.getCenterGravity() })),
+            ...this.barge.floats.flatMap(float => float.tanks).map(tank => {
+                const contents = tank.getContents();
+                return { weight: contents.weight, size: [tank.length, tank.height * tank.fill, tank.width], position: contents.position };
+            }),
+            ...this.barge.items.filter(item => item instanceof Crane)
+                .map(crane => ({ weight: crane.hookLoad, size: [0, 0, 0], position: crane.getBoomTip() }))
+        ];
+        for (let part of parts) {
+            const mass = part.weight / SIMULATION_GRAVITY;
+            const [sx, sy, sz] = part.size;
+            const dx = part.position.x - center.x;
+            const dy = part.position.y - center.y;
+            const dz = part.position.z - center.z;
+            inertia.x += mass * ((sy * sy + sz * sz) / 12 + dy * dy + dz * dz);
+            inertia.y += mass * ((sx * sx + sz * sz) / 12 + dx * dx + dz * dz);
+            inertia.z += mass * ((sx * sx + sy * sy) / 12 + dx * dx + dy * dy);
+        }
+
+        this.weight = hydrostatics.weight;
+        this.body.mass = Math.max(this.weight, 1) / SIMULATION_GRAVITY;
+        this.body.invMass = 1 / this.body.mass;
+        this.body.inertia.set(inertia.x, inertia.y, inertia.z);
+        this.body.invInertia.set(
+            inertia.x > 0 ? 1 / inertia.x : 0,
+            inertia.y > 0 ? 1 / inertia.y : 0,
+            inertia.z > 0 ? 1 / inertia.z : 0
+        );
+        this.body.updateInertiaWorld(true);
+    }
+
+    // The still water surface (world y = 0) seen from the barge's rest coordinates; the wave
+    // is added on top of it column by column, see Hydrostatics.
+    getWaterline() {
+        const inverse = this.body.quaternion.inverse();
+        const normal = inverse.vmult(new CANNON.Vec3(0, 1, 0));
+        const offset = inverse.vmult(this.body.position);
+        return {
+            point: { x: this.center.x - offset.x, y: this.center.y - offset.y, z: this.center.z - offset.z },
+            normal: { x: normal.x, y: normal.y, z: normal.z }
+        };
+    }
+
+    applyBuoyancy(hydrostatics) {
+        const waterline = this.getWaterline();
+        if (waterline.normal.y <= 0) {
+            this.status = 'Capsized';
+            return false;
+        }
+
+        // Buoyancy and any push from the seabed, together
+        const support = hydrostatics.calculateSupport(waterline);
+        if (support.buoyancy.volume >= hydrostatics.calculateVolume() * 0.999 && this.body.velocity.y < 0) {
+            this.status = 'Sinking';
+            return false;
+        }
+        if (support.force === 0) return true;
+
+        const offset = new CANNON.Vec3(
+            support.center.x - this.center.x,
+            support.center.y - this.center.y,
+            support.center.z - this.center.z
+        );
+        const point = this.body.position.vadd(this.body.quaternion.vmult(offset));
+        this.body.applyForce(new CANNON.Vec3(0, support.force, 0), point);
+        return true;
+    }
+
+    advance(frameSeconds) {
+        if (!this.running) return;
+
+        // A copy of its own, as the wave clock runs on through the steps below
+        const hydrostatics = new Hydrostatics(this.barge.getDescription());
+        this.syncMassProperties(hydrostatics);
+
+        const steps = Math.min(SIMULATION_MAX_STEPS_PER_FRAME, Math.round(frameSeconds * this.timeScale / SIMULATION_TIME_STEP));
+        for (let i = 0; i < steps; i++) {
+            hydrostatics.wave.time = this.barge.waveTime;
+            if (!this.applyBuoyancy(hydrostatics)) {
+                this.running = false;
+                break;
+            }
+            this.world.step(SIMULATION_TIME_STEP);
+            this.time += SIMULATION_TIME_STEP;
+            this.barge.waveTime += SIMULATION_TIME_STEP;
+        }
+        this.record();
+    }
+
+    // Heel and trim with the same signs as Barge.tiltX / tiltZ.
+    getAngles() {
+        const q = this.body.quaternion;
+        const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w), 'XYZ');
+        return { heel: -euler.x, trim: -euler.z };
+    }
+
+    record() {
+        const angles = this.getAngles();
+        this.history.push({ time: this.time, heel: angles.heel * 180 / Math.PI, trim: angles.trim * 180 / Math.PI });
+        while (this.history.length > 0 && this.history[0].time < this.time - SIMULATION_HISTORY_SECONDS) {
+            this.history.shift();
+        }
+    }
+
+    getPose() {
+        const q = this.body.quaternion;
+        const p = this.body.position;
+        return {
+            center: new THREE.Vector3(this.center.x, this.center.y, this.center.z),
+            quaternion: new THREE.Quaternion(q.x, q.y, q.z, q.w),
+            position: new THREE.Vector3(p.x, p.y, p.z)
+        };
+    }
+}
+
+// ========================================
+// MAIN APPLICATION VARIABLES
+// ========================================
+let scene, camera, renderer;
+let barge, water, plane;
+let raycaster, mouse, isDragging = false;
+let coordinatesDiv, coordinatesTimeout;
+let axesScene, axesCamera, axesRenderer;
+let isPerspective = true;
+let cornerLabels = [];
+let gzCurve = null, gzHoverAngle = null, gzLastUpdate = 0;
+let selection = [], dragStart = null;
+let undoStack = [], redoStack = [];
+let layoutMode = false, layoutPlane, layoutGrid;
+let damageMode = false;
+let csvImport = null;
+let simulation = null, lastFrameTime = null;
+let slewSweep = null, slewSweepLastUpdate = 0;
+let strength = null, strengthLastUpdate = 0;
+let placementMap = null, placementMapLastCheck = 0;
+let placementPreview = null;
+let stagePosition = 0, stagePlaybackTarget = null, stageHistoryBefore = null;
+let stageResults = null, stageResultsSignature = null, stageLastUpdate = 0;
+let waveHistory = [], waterIsFlat = true;
+let seabedMesh;
+let ballastSuggestion = null;
+
+init();
+animate();
+
+function init() {
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x87ceeb);
+
+    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.position.set(25, 15, 25);
+    camera.lookAt(0, 0, 0);
+
+    renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.shadowMap.enabled = true;
+    document.getElementById('container').appendChild(renderer.domElement);
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(10, 20, 10);
+    scene.add(directionalLight);
+
+    const waterGeometry = new THREE.PlaneGeometry(WAVE_MESH_SIZE, WAVE_MESH_SIZE, WAVE_MESH_SEGMENTS, WAVE_MESH_SEGMENTS);
+    const waterMaterial = new THREE.MeshPhongMaterial({
+        color: 0x1e90ff,
+        transparent: true,
+        opacity: 0.6,
+        side: THREE.DoubleSide
+    });
+    water = new THREE.Mesh(waterGeometry, waterMaterial);
+    water.rotation.x = -Math.PI / 2;
+    water.position.y = 0;
+    scene.add(water);
+
+    seabedMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(WAVE_MESH_SIZE, WAVE_MESH_SIZE, 1, 1),
+        new THREE.MeshPhongMaterial({ color: SEABED_COLOR, side: THREE.DoubleSide })
+    );
+    seabedMesh.rotation.x = -Math.PI / 2;
+    seabedMesh.visible = false;
+    scene.add(seabedMesh);
+
+    barge = new Barge(scene);
+
+    const planeMaterial = new THREE.MeshBasicMaterial({ visible: false });
+    plane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), planeMaterial);
+    plane.rotation.x = -Math.PI / 2;
+    scene.add(plane);
+    updateDragPlane();
+
+    layoutPlane = new THREE.Mesh(new THREE.PlaneGeometry(200, 200), new THREE.MeshBasicMaterial({ visible: false }));
+    layoutPlane.rotation.x = -Math.PI / 2;
+    scene.add(layoutPlane);
+
+    layoutGrid = new THREE.GridHelper(100, 100 / LAYOUT_GRID_SIZE, 0x333333, 0x666666);
+    layoutGrid.position.y = 0.02;
+    layoutGrid.visible = false;
+    scene.add(layoutGrid);
+
+    raycaster = new THREE.Raycaster();
+    mouse = new THREE.Vector2();
 
     coordinatesDiv = document.getElementById('coordinates');
 
     setupEventListeners();
     setupAxesHelper();
     setupCornerLabels();
+    setUnitSystem(localStorage.getItem('bargeStability.units') || 'imperial');
 }
 
 function setupEventListeners() {
@@ -413,12 +1598,187 @@ function setupEventListeners() {
         document.getElementById('buildContent').classList.toggle('active');
     });
 
+    document.getElementById('fileDropdown').addEventListener('click', function () {
+        document.getElementById('fileContent').classList.toggle('active');
+    });
+
+    document.getElementById('saveProjectButton').addEventListener('click', saveProject);
+    document.getElementById('openProjectButton').addEventListener('click', function () {
+        document.getElementById('projectFileInput').click();
+    });
+    document.getElementById('projectFileInput').addEventListener('change', openProject);
+    document.getElementById('exportReportButton').addEventListener('click', showReportDialog);
+    document.getElementById('importCSVButton').addEventListener('click', function () {
+        document.getElementById('csvFileInput').click();
+    });
+    document.getElementById('csvFileInput').addEventListener('change', openCSVFile);
+    document.getElementById('exportItemsCSVButton').addEventListener('click', () => exportCSV('items'));
+    document.getElementById('exportFloatsCSVButton').addEventListener('click', () => exportCSV('floats'));
+    document.getElementById('csvCloseButton').addEventListener('click', hideCSVDialog);
+    document.getElementById('csvKind').addEventListener('change', renderCSVMapping);
+    document.getElementById('csvMapping').addEventListener('change', validateCSVImport);
+    document.getElementById('applyCSVButton').addEventListener('click', applyCSVImport);
+    document.getElementById('reportCloseButton').addEventListener('click', hideReportDialog);
+    document.getElementById('createReportButton').addEventListener('click', exportReport);
+
+    document.getElementById('editDropdown').addEventListener('click', function () {
+        document.getElementById('editContent').classList.toggle('active');
+    });
+
+    document.getElementById('undoButton').addEventListener('click', undo);
+    document.getElementById('redoButton').addEventListener('click', redo);
+    window.addEventListener('keydown', onHistoryKeyDown);
+    updateHistoryButtons();
+
+    document.getElementById('settingsDropdown').addEventListener('click', function () {
+        document.getElementById('settingsContent').classList.toggle('active');
+    });
+
+    document.getElementById('unitSystem').addEventListener('change', function () {
+        setUnitSystem(this.value);
+    });
+    document.getElementById('waterType').addEventListener('change', updateWaterDensity);
+    document.getElementById('waterDensity').addEventListener('change', updateWaterDensity);
+    document.getElementById('windSpeed').addEventListener('change', updateWind);
+    document.getElementById('windDirection').addEventListener('change', updateWind);
+    for (let id of ['waveHeight', 'wavePeriod', 'waveHeading']) {
+        document.getElementById(id).addEventListener('change', updateWaves);
+    }
+    for (let id of ['seabedType', 'seabedDepth', 'seabedSlope', 'seabedHeading']) {
+        document.getElementById(id).addEventListener('change', updateSeabed);
+    }
+
+    document.getElementById('analysisDropdown').addEventListener('click', function () {
+        document.getElementById('analysisContent').classList.toggle('active');
+    });
+
     document.getElementById('addItemButton').addEventListener('click', addNewItem);
+    document.getElementById('addCraneButton').addEventListener('click', addNewCrane);
     document.getElementById('addFloatButton').addEventListener('click', addNewFloat);
+    document.getElementById('tanksButton').addEventListener('click', showTankPanel);
+    document.getElementById('tankCloseButton').addEventListener('click', hideTankPanel);
+    document.getElementById('addTankButton').addEventListener('click', addTankToSelectedFloat);
+    document.getElementById('suggestBallastButton').addEventListener('click', showBallastSuggestion);
+    document.getElementById('applyBallastButton').addEventListener('click', applyBallastSuggestion);
+    const tankRows = document.getElementById('tankRows');
+    tankRows.addEventListener('change', updateTank);
+    tankRows.addEventListener('click', (e) => {
+        if (e.target.classList.contains('tank-remove')) {
+            removeTank(e.target.closest('tr'));
+        }
+    });
+    document.getElementById('layoutModeButton').addEventListener('click', toggleLayoutMode);
+    document.getElementById('rotateFloatButton').addEventListener('click', rotateSelectedFloat);
+    document.getElementById('damageModeButton').addEventListener('click', toggleDamageMode);
+    document.getElementById('floatFlooded').addEventListener('change', updateFloatDamage);
+    document.getElementById('floatPermeability').addEventListener('change', updateFloatDamage);
+    window.addEventListener('keydown', (e) => {
+        if (layoutMode && e.key.toLowerCase() === 'r' && !e.ctrlKey && !e.metaKey && e.target.tagName !== 'INPUT') {
+            rotateSelectedFloat();
+        }
+    });
+    document.getElementById('gzCurveButton').addEventListener('click', showGZPanel);
+    document.getElementById('criteriaButton').addEventListener('click', showCriteriaPanel);
+    document.getElementById('simulationButton').addEventListener('click', showSimulationPanel);
+    document.getElementById('strengthButton').addEventListener('click', showStrengthPanel);
+    document.getElementById('optimizerButton').addEventListener('click', showOptimizerPanel);
+    document.getElementById('stagesButton').addEventListener('click', showStagePanel);
+    document.getElementById('stageCloseButton').addEventListener('click', hideStagePanel);
+    document.getElementById('addStageButton').addEventListener('click', addStage);
+    document.getElementById('exportStagesButton').addEventListener('click', exportStages);
+    document.getElementById('stagePlayButton').addEventListener('click', toggleStagePlayback);
+    document.getElementById('stagePrevButton').addEventListener('click', () => stepStage(-1));
+    document.getElementById('stageNextButton').addEventListener('click', () => stepStage(1));
+    const stageTimeline = document.getElementById('stageTimeline');
+    stageTimeline.addEventListener('input', scrubStages);
+    stageTimeline.addEventListener('change', endStageMotion);
+    const stageRows = document.getElementById('stageRows');
+    stageRows.addEventListener('change', (e) => {
+        if (e.target.classList.contains('stage-name')) {
+            renameStage(+e.target.closest('tr').dataset.index, e.target.value);
+        }
+    });
+    stageRows.addEventListener('click', (e) => {
+        const index = e.target.closest('tr') ? +e.target.closest('tr').dataset.index : -1;
+        if (e.target.classList.contains('stage-go')) {
+            goToStage(index);
+        } else if (e.target.classList.contains('stage-save')) {
+            saveStage(index);
+        } else if (e.target.classList.contains('stage-remove')) {
+            removeStage(index);
+        }
+    });
+    document.getElementById('optimizerCloseButton').addEventListener('click', hideOptimizerPanel);
+    document.getElementById('optimizeButton').addEventListener('click', runOptimizer);
+    document.getElementById('acceptPlacementButton').addEventListener('click', acceptPlacement);
+    document.getElementById('rejectPlacementButton').addEventListener('click', rejectPlacement);
+    document.getElementById('strengthCloseButton').addEventListener('click', hideStrengthPanel);
+    document.getElementById('simulationCloseButton').addEventListener('click', hideSimulationPanel);
+    document.getElementById('simulationPlayButton').addEventListener('click', toggleSimulation);
+    document.getElementById('simulationResetButton').addEventListener('click', resetSimulation);
+    document.getElementById('simulationTimeScale').addEventListener('change', function () {
+        simulation.timeScale = parseFloat(this.value);
+    });
+
+    for (let id of ['floatLength', 'floatWidth', 'floatHeight', 'floatWeight', 'floatPosX', 'floatPosY', 'floatPosZ',
+        'floatConnectorShear', 'floatConnectorMoment']) {
+        document.getElementById(id).addEventListener('change', updateFloatProperties);
+    }
+
+    for (let id of ['itemName', 'itemWeight', 'itemLength', 'itemWidth', 'itemHeight',
+        'itemCgX', 'itemCgHeight', 'itemCgZ', 'itemColor', 'itemPosX', 'itemPosZ',
+        'itemLocked', 'craneHookLoad', 'craneRadius', 'craneSlew', 'craneBoomHeight']) {
+        document.getElementById(id).addEventListener('change', updateItemProperties);
+    }
+    document.getElementById('slewSweepButton').addEventListener('click', showSlewPanel);
+    document.getElementById('placementButton').addEventListener('click', showPlacementPanel);
+    document.getElementById('placementCloseButton').addEventListener('click', hidePlacementPanel);
+    document.getElementById('placementMetric').addEventListener('change', drawPlacementMap);
+    document.getElementById('slewCloseButton').addEventListener('click', hideSlewPanel);
+    document.getElementById('gzCloseButton').addEventListener('click', hideGZPanel);
+    document.getElementById('criteriaCloseButton').addEventListener('click', hideCriteriaPanel);
+
+    const criteriaPreset = document.getElementById('criteriaPreset');
+    for (let [key, preset] of [...Object.entries(CRITERIA_PRESETS), ['custom', { label: 'Custom' }]]) {
+        criteriaPreset.add(new Option(preset.label, key));
+    }
+    criteriaPreset.addEventListener('change', updateCriteriaPreset);
+
+    const criteriaMetric = document.getElementById('criteriaMetric');
+    for (let [key, metric] of Object.entries(CRITERIA_METRICS)) {
+        criteriaMetric.add(new Option(metric.label, key));
+    }
+    document.getElementById('addCriterionButton').addEventListener('click', addCriterion);
+
+    const criteriaRules = document.getElementById('criteriaRules');
+    criteriaRules.addEventListener('change', updateCriterion);
+    criteriaRules.addEventListener('click', (e) => {
+        if (e.target.classList.contains('criterion-remove')) {
+            removeCriterion(+e.target.closest('tr').dataset.index);
+        }
+    });
+    document.getElementById('gzAxis').addEventListener('change', updateGZChart);
+
+    const gzCanvas = document.getElementById('gzCanvas');
+    gzCanvas.addEventListener('mousemove', (e) => {
+        const bounds = getGZChartBounds(gzCanvas);
+        const rect = gzCanvas.getBoundingClientRect();
+        const angle = (e.clientX - rect.left - bounds.left) / bounds.width * 60;
+        gzHoverAngle = angle >= 0 && angle <= 60 ? angle : null;
+        drawGZChart();
+    });
+    gzCanvas.addEventListener('mouseleave', () => {
+        gzHoverAngle = null;
+        drawGZChart();
+    });
 
     document.getElementById('panel').addEventListener('mouseleave', function () {
+        document.getElementById('fileContent').classList.remove('active');
+        document.getElementById('editContent').classList.remove('active');
+        document.getElementById('settingsContent').classList.remove('active');
         document.getElementById('viewContent').classList.remove('active');
         document.getElementById('buildContent').classList.remove('active');
+        document.getElementById('analysisContent').classList.remove('active');
     });
 }
 
@@ -430,25 +1790,61 @@ function onMouseDown(event) {
 
     raycaster.setFromCamera(mouse, camera);
 
-    const item = barge.getItem(0);
-    const itemIntersects = raycaster.intersectObject(item.mesh);
+    const meshes = [...barge.items, ...barge.floats].map(object => object.mesh);
+    const intersects = raycaster.intersectObjects(meshes);
+    const hit = intersects.length > 0 ? barge.findByMesh(intersects[0].object) : null;
 
-    if (itemIntersects.length > 0) {
-        isDragging = true;
-        showCoordinates();
-        hideFloatProperties();
+    if (!hit) {
+        if (!event.shiftKey) {
+            setSelection([]);
+        }
+        return;
+    }
+
+    if (event.shiftKey && selection.includes(hit)) {
+        setSelection(selection.filter(object => object !== hit));
+        return;
+    }
+
+    if (event.shiftKey || selection.includes(hit)) {
+        setSelection([...selection.filter(object => object !== hit), hit]);
     } else {
-        const float = barge.getFloat(0);
-        const floatIntersects = raycaster.intersectObject(float.mesh);
+        setSelection([hit]);
+    }
 
-        if (floatIntersects.length > 0) {
-            showFloatProperties();
-            hideCoordinates();
-        } else {
-            hideCoordinates();
-            hideFloatProperties();
-        }
+    if (hit instanceof Item) {
+        startItemDrag();
+    } else if (damageMode) {
+        setFloatFlooded(hit, !hit.flooded);
+    } else if (layoutMode) {
+        startFloatDrag(hit);
+    }
+}
+
+function startFloatDrag(float) {
+    const intersects = raycaster.intersectObject(layoutPlane);
+    if (intersects.length === 0) return;
+
+    dragStart = {
+        point: intersects[0].point.clone(),
+        float,
+        start: { x: float.restPosition.x, z: float.restPosition.z },
+        history: captureState()
+    };
+    isDragging = true;
+}
+
+function startItemDrag() {
+    const intersects = raycaster.intersectObject(plane);
+    if (intersects.length === 0) return;
+
+    const positions = new Map();
+    for (let item of getSelectedItems()) {
+        positions.set(item, { x: item.restPosition.x, z: item.restPosition.z });
     }
+
+    dragStart = { point: intersects[0].point.clone(), positions, history: captureState() };
+    isDragging = true;
 }
 
 function onMouseMove(event) {
@@ -458,18 +1854,98 @@ function onMouseMove(event) {
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, camera);
+
+    if (dragStart.float) {
+        const intersects = raycaster.intersectObject(layoutPlane);
+        if (intersects.length > 0) {
+            const point = intersects[0].point;
+            barge.moveFloat(
+                dragStart.float,
+                dragStart.start.x + point.x - dragStart.point.x,
+                dragStart.start.z + point.z - dragStart.point.z
+            );
+            updateDragPlane();
+            showFloatProperties();
+        }
+        return;
+    }
+
     const intersects = raycaster.intersectObject(plane);
 
     if (intersects.length > 0) {
         const point = intersects[0].point;
-        barge.moveItem(0, point.x, point.z);
+        const deltaX = point.x - dragStart.point.x;
+        const deltaZ = point.z - dragStart.point.z;
+
+        for (let [item, start] of dragStart.positions) {
+            barge.moveItem(barge.items.indexOf(item), start.x + deltaX, start.z + deltaZ);
+        }
+        showItemProperties();
     }
 }
 
 function onMouseUp(event) {
     if (event.button === 0) {
+        if (dragStart) {
+            commitHistory(dragStart.history);
+        }
         isDragging = false;
+        dragStart = null;
+    }
+}
+
+function getPrimarySelection() {
+    return selection.length > 0 ? selection[selection.length - 1] : null;
+}
+
+function getSelectedItem() {
+    const primary = getPrimarySelection();
+    return primary instanceof Item ? primary : null;
+}
+
+function getSelectedFloat() {
+    const primary = getPrimarySelection();
+    return primary instanceof Float ? primary : null;
+}
+
+function getSelectedItems() {
+    return selection.filter(object => object instanceof Item);
+}
+
+function setSelection(objects) {
+    for (let object of selection) {
+        object.setHighlighted(false);
+    }
+    selection = objects;
+    for (let object of selection) {
+        object.setHighlighted(true);
+    }
+
+    if (getSelectedItem()) {
+        showItemProperties();
+        showCoordinates();
+    } else {
+        hideItemProperties();
+        hideCoordinates();
+    }
+
+    if (getSelectedFloat()) {
+        showFloatProperties();
+    } else {
+        hideFloatProperties();
     }
+    updateTankButtons();
+    updateOptimizerItems();
+}
+
+function updateDragPlane() {
+    const extents = barge.getExtents();
+    const centerX = (extents.minX + extents.maxX) / 2;
+    const centerZ = (extents.minZ + extents.maxZ) / 2;
+
+    plane.geometry.dispose();
+    plane.geometry = new THREE.PlaneGeometry(extents.maxX - extents.minX, extents.maxZ - extents.minZ);
+    plane.position.set(centerX, barge.getDeckY(centerX, centerZ), centerZ);
 }
 
 function setupAxesHelper() {
@@ -550,11 +2026,40 @@ function createTextTexture(text, color) {
 
 function setupCornerLabels() {
     for (let i = 0; i < 8; i++) {
-        const label = document.createElement('div');
-        label.className = 'corner-label';
-        document.body.appendChild(label);
-        cornerLabels.push(label);
+        createCornerLabel();
+    }
+}
+
+function createCornerLabel() {
+    const label = document.createElement('div');
+    label.className = 'corner-label';
+    document.body.appendChild(label);
+    cornerLabels.push(label);
+    return label;
+}
+
+// Shows the freeboard at every deck corner, in red once it is below the freeboard criterion or under water.
+function updateCornerLabels() {
+    while (cornerLabels.length < barge.deckCorners.length) {
+        createCornerLabel();
     }
+    const minFreeboard = barge.getMinFreeboard();
+
+    cornerLabels.forEach((label, i) => {
+        const corner = barge.deckCorners[i];
+        const screen = corner ? barge.toWorld(corner).project(camera) : null;
+        if (!screen || screen.z > 1 || Math.abs(screen.x) > 1 || Math.abs(screen.y) > 1) {
+            label.style.display = 'none';
+            return;
+        }
+
+        label.style.display = 'block';
+        label.style.left = (screen.x + 1) / 2 * window.innerWidth + 'px';
+        label.style.top = (1 - screen.y) / 2 * window.innerHeight + 'px';
+        label.textContent = formatValue(corner.freeboard, 'length') + ' ' + unitLabel('length');
+        label.classList.toggle('low', minFreeboard !== null && corner.freeboard < minFreeboard);
+        label.classList.toggle('immersed', corner.freeboard < 0);
+    });
 }
 
 function hideCoordinates() {
@@ -572,10 +2077,10 @@ function showCoordinates() {
     coordinatesDiv.classList.add('visible');
 
     if (!document.getElementById('coordX')) {
-        const item = barge.getItem(0);
+        const item = getSelectedItem();
         const pos = item.getPosition();
-        const x = pos.x.toFixed(2);
-        const z = pos.z.toFixed(2);
+        const x = formatValue(pos.x, 'length');
+        const z = formatValue(pos.z, 'length');
         coordinatesDiv.innerHTML = `
                     X: <input type="number" id="coordX" class="coord-input" value="${x}" step="0.1"> | 
                     Z: <input type="number" id="coordZ" class="coord-input" value="${z}" step="0.1">
@@ -597,10 +2102,11 @@ function showCoordinates() {
 function updateCoordinates() {
     if (!coordinatesDiv.classList.contains('visible')) return;
 
-    const item = barge.getItem(0);
+    const item = getSelectedItem();
+    if (!item) return;
     const pos = item.getPosition();
-    const x = pos.x.toFixed(2);
-    const z = pos.z.toFixed(2);
+    const x = formatValue(pos.x, 'length');
+    const z = formatValue(pos.z, 'length');
 
     const vector = new THREE.Vector3(pos.x, pos.y + 1.5, pos.z);
     vector.project(camera);
@@ -625,57 +2131,58 @@ function updateItemPosition() {
     const xInput = document.getElementById('coordX');
     const zInput = document.getElementById('coordZ');
 
-    if (xInput && zInput) {
-        let newX = parseFloat(xInput.value);
-        let newZ = parseFloat(zInput.value);
+    const item = getSelectedItem();
+    if (xInput && zInput && item) {
+        let newX = fromDisplay(parseFloat(xInput.value), 'length');
+        let newZ = fromDisplay(parseFloat(zInput.value), 'length');
 
-        barge.moveItem(0, newX, newZ);
+        const before = captureState();
+        barge.moveItem(barge.items.indexOf(item), newX, newZ);
+        commitHistory(before);
 
-        const item = barge.getItem(0);
         const pos = item.getPosition();
-        xInput.value = pos.x.toFixed(2);
-        zInput.value = pos.z.toFixed(2);
+        xInput.value = formatValue(pos.x, 'length');
+        zInput.value = formatValue(pos.z, 'length');
     }
 }
 
 function showFloatProperties() {
-    const float = barge.getFloat(0);
-    const pos = float.getPosition();
-    const draft = float.calculateDraft();
-
-    document.getElementById('floatId').textContent = float.id;
-    document.getElementById('floatLength').value = float.width.toFixed(2);
-    document.getElementById('floatWidth').value = float.depth.toFixed(2);
-    document.getElementById('floatHeight').value = float.height.toFixed(2);
-    document.getElementById('floatWeight').value = float.weight.toFixed(0);
-    document.getElementById('floatDraft').textContent = draft.toFixed(2);
-    document.getElementById('floatPosX').value = pos.x.toFixed(2);
-    document.getElementById('floatPosY').value = pos.y.toFixed(2);
-    document.getElementById('floatPosZ').value = pos.z.toFixed(2);
+    const float = getSelectedFloat();
+    if (!float) return;
 
-    const panel = document.getElementById('floatProperties');
-    if (!panel.classList.contains('visible')) {
-        panel.classList.add('visible');
+    const pos = float.restPosition;
+    const draft = float.calculateDraft(barge.waterDensity);
 
-        document.getElementById('floatLength').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatWidth').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatHeight').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatWeight').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatPosX').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatPosY').addEventListener('change', updateFloatProperties);
-        document.getElementById('floatPosZ').addEventListener('change', updateFloatProperties);
-    }
+    document.getElementById('floatId').textContent = float.id;
+    document.getElementById('floatLength').value = formatValue(float.width, 'length');
+    document.getElementById('floatWidth').value = formatValue(float.depth, 'length');
+    document.getElementById('floatHeight').value = formatValue(float.height, 'length');
+    document.getElementById('floatWeight').value = formatValue(float.weight, 'weight');
+    document.getElementById('floatDraft').textContent = formatValue(draft, 'length');
+    document.getElementById('floatPosX').value = formatValue(pos.x, 'length');
+    document.getElementById('floatPosY').value = formatValue(pos.y, 'length');
+    document.getElementById('floatPosZ').value = formatValue(pos.z, 'length');
+    document.getElementById('floatFlooded').checked = float.flooded;
+    document.getElementById('floatPermeability').value = (float.permeability * 100).toFixed(0);
+    document.getElementById('floatConnectorShear').value = formatValue(float.connector.shear, 'weight');
+    document.getElementById('floatConnectorMoment').value = formatValue(float.connector.moment, 'moment');
+
+    document.getElementById('floatProperties').classList.add('visible');
 }
 
 function updateFloatProperties() {
-    const float = barge.getFloat(0);
-
-    const newLength = parseFloat(document.getElementById('floatLength').value);
-    const newWidth = parseFloat(document.getElementById('floatWidth').value);
-    const newHeight = parseFloat(document.getElementById('floatHeight').value);
-    const newWeight = parseFloat(document.getElementById('floatWeight').value);
-    const newPosX = parseFloat(document.getElementById('floatPosX').value);
-    const newPosZ = parseFloat(document.getElementById('floatPosZ').value);
+    const float = getSelectedFloat();
+    if (!float) return;
+    const before = captureState();
+
+    const newLength = fromDisplay(parseFloat(document.getElementById('floatLength').value), 'length');
+    const newWidth = fromDisplay(parseFloat(document.getElementById('floatWidth').value), 'length');
+    const newHeight = fromDisplay(parseFloat(document.getElementById('floatHeight').value), 'length');
+    const newWeight = fromDisplay(parseFloat(document.getElementById('floatWeight').value), 'weight');
+    const newPosX = fromDisplay(parseFloat(document.getElementById('floatPosX').value), 'length');
+    const newPosZ = fromDisplay(parseFloat(document.getElementById('floatPosZ').value), 'length');
+    const newConnectorShear = fromDisplay(parseFloat(document.getElementById('floatConnectorShear').value), 'weight');
+    const newConnectorMoment = fromDisplay(parseFloat(document.getElementById('floatConnectorMoment').value), 'moment');
 
     const posYInput = document.getElementById('floatPosY');
     const manualYChange = (document.activeElement === posYInput);
@@ -701,59 +2208,171 @@ function updateFloatProperties() {
     }
 
     if (!isNaN(newPosX)) {
-        float.mesh.position.x = newPosX;
+        float.restPosition.x = newPosX;
     }
     if (!isNaN(newPosZ)) {
-        float.mesh.position.z = newPosZ;
+        float.restPosition.z = newPosZ;
+    }
+    if (!isNaN(newConnectorShear) && newConnectorShear >= 0) {
+        float.connector.shear = newConnectorShear;
+    }
+    if (!isNaN(newConnectorMoment) && newConnectorMoment >= 0) {
+        float.connector.moment = newConnectorMoment;
     }
 
     float.mesh.geometry.dispose();
     float.geometry = new THREE.BoxGeometry(float.width, float.height, float.depth);
     float.mesh.geometry = float.geometry;
-
-    plane.geometry.dispose();
-    plane.geometry = new THREE.PlaneGeometry(float.width, float.depth);
+    float.fitTanks();
 
     if (recalculateY && !manualYChange) {
-        const draft = float.calculateDraft();
+        const draft = float.calculateDraft(barge.waterDensity);
         const yPosition = -draft + float.height / 2;
-        float.mesh.position.y = yPosition;
-        posYInput.value = yPosition.toFixed(2);
+        float.restPosition.y = yPosition;
+        posYInput.value = formatValue(yPosition, 'length');
     } else if (manualYChange) {
-        const newPosY = parseFloat(posYInput.value);
+        const newPosY = fromDisplay(parseFloat(posYInput.value), 'length');
         if (!isNaN(newPosY)) {
-            float.mesh.position.y = newPosY;
+            float.restPosition.y = newPosY;
         }
     }
 
-    barge.calculateCenterFlotation();
-
-    plane.position.y = float.getPosition().y + float.height / 2;
+    barge.update();
+    updateDragPlane();
 
-    const draft = float.calculateDraft();
-    document.getElementById('floatDraft').textContent = draft.toFixed(2);
+    const draft = float.calculateDraft(barge.waterDensity);
+    document.getElementById('floatDraft').textContent = formatValue(draft, 'length');
 
-    barge.update();
+    commitHistory(before);
 }
 
 function hideFloatProperties() {
     document.getElementById('floatProperties').classList.remove('visible');
 }
 
+function showItemProperties() {
+    const item = getSelectedItem();
+    if (!item) return;
+    const pos = item.restPosition;
+
+    document.getElementById('itemId').textContent = item.id;
+    document.getElementById('itemName').value = item.name;
+    document.getElementById('itemWeight').value = formatValue(item.weight, 'weight');
+    document.getElementById('itemLength').value = formatValue(item.width, 'length');
+    document.getElementById('itemWidth').value = formatValue(item.depth, 'length');
+    document.getElementById('itemHeight').value = formatValue(item.height, 'length');
+    document.getElementById('itemCgX').value = formatValue(item.cgOffsetX, 'length');
+    document.getElementById('itemCgHeight').value = formatValue(item.cgHeight, 'length');
+    document.getElementById('itemCgZ').value = formatValue(item.cgOffsetZ, 'length');
+    document.getElementById('itemColor').value = '#' + item.color.toString(16).padStart(6, '0');
+    document.getElementById('itemPosX').value = formatValue(pos.x, 'length');
+    document.getElementById('itemPosZ').value = formatValue(pos.z, 'length');
+    document.getElementById('itemLocked').checked = item.locked;
+
+    const isCrane = item instanceof Crane;
+    document.getElementById('craneProperties').classList.toggle('visible', isCrane);
+    if (isCrane) {
+        document.getElementById('craneHookLoad').value = formatValue(item.hookLoad, 'weight');
+        document.getElementById('craneRadius').value = formatValue(item.radius, 'length');
+        document.getElementById('craneSlew').value = item.slew.toFixed(0);
+        document.getElementById('craneBoomHeight').value = formatValue(item.boomHeight, 'length');
+    }
+
+    document.getElementById('itemProperties').classList.add('visible');
+}
+
+function updateItemProperties() {
+    const item = getSelectedItem();
+    if (!item) return;
+    const before = captureState();
+
+    const newName = document.getElementById('itemName').value.trim();
+    const newWeight = fromDisplay(parseFloat(document.getElementById('itemWeight').value), 'weight');
+    const newLength = fromDisplay(parseFloat(document.getElementById('itemLength').value), 'length');
+    const newWidth = fromDisplay(parseFloat(document.getElementById('itemWidth').value), 'length');
+    const newHeight = fromDisplay(parseFloat(document.getElementById('itemHeight').value), 'length');
+    const newCgX = fromDisplay(parseFloat(document.getElementById('itemCgX').value), 'length');
+    const newCgHeight = fromDisplay(parseFloat(document.getElementById('itemCgHeight').value), 'length');
+    const newCgZ = fromDisplay(parseFloat(document.getElementById('itemCgZ').value), 'length');
+    const newPosX = fromDisplay(parseFloat(document.getElementById('itemPosX').value), 'length');
+    const newPosZ = fromDisplay(parseFloat(document.getElementById('itemPosZ').value), 'length');
+
+    if (newName) {
+        item.name = newName;
+    }
+    if (!isNaN(newWeight) && newWeight >= 0) {
+        item.weight = newWeight;
+    }
+
+    const width = !isNaN(newLength) && newLength > 0 ? newLength : item.width;
+    const depth = !isNaN(newWidth) && newWidth > 0 ? newWidth : item.depth;
+    const height = !isNaN(newHeight) && newHeight > 0 ? newHeight : item.height;
+    if (width !== item.width || height !== item.height || depth !== item.depth) {
+        item.setDimensions(width, height, depth);
+        item.restPosition.y = barge.getDeckY(item.restPosition.x, item.restPosition.z) + item.height / 2;
+    }
+
+    if (!isNaN(newCgX)) {
+        item.cgOffsetX = newCgX;
+    }
+    if (!isNaN(newCgHeight) && newCgHeight >= 0) {
+        item.cgHeight = newCgHeight;
+    }
+    if (!isNaN(newCgZ)) {
+        item.cgOffsetZ = newCgZ;
+    }
+
+    item.setColor(parseInt(document.getElementById('itemColor').value.slice(1), 16));
+    item.locked = document.getElementById('itemLocked').checked;
+
+    if (item instanceof Crane) {
+        const hookLoad = fromDisplay(parseFloat(document.getElementById('craneHookLoad').value), 'weight');
+        const radius = fromDisplay(parseFloat(document.getElementById('craneRadius').value), 'length');
+        const slew = parseFloat(document.getElementById('craneSlew').value);
+        const boomHeight = fromDisplay(parseFloat(document.getElementById('craneBoomHeight').value), 'length');
+        item.setCrane({
+            hookLoad: !isNaN(hookLoad) && hookLoad >= 0 ? hookLoad : item.hookLoad,
+            radius: !isNaN(radius) && radius >= 0 ? radius : item.radius,
+            slew: !isNaN(slew) ? ((slew % 360) + 360) % 360 : item.slew,
+            boomHeight: !isNaN(boomHeight) && boomHeight >= 0 ? boomHeight : item.boomHeight
+        });
+    }
+
+    barge.moveItem(
+        barge.items.indexOf(item),
+        isNaN(newPosX) ? item.restPosition.x : newPosX,
+        isNaN(newPosZ) ? item.restPosition.z : newPosZ
+    );
+    showItemProperties();
+    commitHistory(before);
+}
+
+function hideItemProperties() {
+    document.getElementById('itemProperties').classList.remove('visible');
+}
+
 function addNewItem() {
-    barge.addItem();
+    const before = captureState();
+    const item = barge.addItem();
+    commitHistory(before);
+    setSelection([item]);
     document.getElementById('buildContent').classList.remove('active');
 }
 
-function addNewFloat() {
-    barge.addFloat();
-
-    const mainFloat = barge.getFloat(0);
-    plane.geometry.dispose();
-    plane.geometry = new THREE.PlaneGeometry(mainFloat.width, mainFloat.depth);
-    const floatPos = mainFloat.getPosition();
-    plane.position.y = floatPos.y + mainFloat.height / 2;
+function addNewCrane() {
+    const before = captureState();
+    const crane = barge.addItem(Crane);
+    commitHistory(before);
+    setSelection([crane]);
+    document.getElementById('buildContent').classList.remove('active');
+}
 
+function addNewFloat() {
+    const before = captureState();
+    const float = barge.addFloat();
+    updateDragPlane();
+    commitHistory(before);
+    setSelection([float]);
     document.getElementById('buildContent').classList.remove('active');
 }
 
@@ -824,12 +2443,47 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-function animate() {
+function animate(now = performance.now()) {
     requestAnimationFrame(animate);
 
+    const frameSeconds = lastFrameTime === null ? 0 : Math.min(0.1, (now - lastFrameTime) / 1000);
+    lastFrameTime = now;
+    if (stagePlaybackTarget !== null) {
+        advanceStagePlayback(frameSeconds);
+    }
+    // The simulation moves the wave along with its own clock, and holds it while paused
+    if (!simulation) {
+        barge.waveTime += frameSeconds;
+    }
+    if (simulation) {
+        simulation.advance(frameSeconds);
+        barge.dynamicPose = simulation.getPose();
+        updateSimulationPanel();
+    }
+
     barge.update();
+    updateWaterSurface();
+    recordWaveResponse();
+    updateCornerLabels();
     updateCoordinates();
     updateBargeProperties();
+    updateCriteriaStatus();
+
+    if (document.getElementById('gzPanel').classList.contains('visible') && performance.now() - gzLastUpdate > 500) {
+        updateGZChart();
+    }
+    if (document.getElementById('slewPanel').classList.contains('visible') && performance.now() - slewSweepLastUpdate > 500) {
+        updateSlewSweep();
+    }
+    if (document.getElementById('strengthPanel').classList.contains('visible') && performance.now() - strengthLastUpdate > 500) {
+        updateStrength();
+    }
+    if (placementMap) {
+        updatePlacementMap();
+    }
+    if (document.getElementById('stagePanel').classList.contains('visible') && performance.now() - stageLastUpdate > 500) {
+        updateStageResults();
+    }
 
     axesCamera.position.copy(camera.position).normalize().multiplyScalar(3);
     axesCamera.lookAt(0, -0.2, 0);
@@ -838,19 +2492,2236 @@ function animate() {
     axesRenderer.render(axesScene, axesCamera);
 }
 
+function getEquilibriumStatus() {
+    if (barge.layoutIssues.length > 0) return 'Invalid layout';
+    if (barge.isSinking) return 'Sinking';
+    if (!barge.equilibriumConverged) return 'Not found';
+    return 'Converged';
+}
+
 function updateBargeProperties() {
-    const mainFloat = barge.floats[0];
-    const draft = mainFloat.calculateDraft();
+    const extents = barge.getExtents();
 
     document.getElementById('bargeTotalFloats').textContent = barge.floats.length;
     document.getElementById('bargeTotalItems').textContent = barge.items.length;
-    document.getElementById('bargeArea').textContent = barge.calculateArea().toFixed(2);
-    document.getElementById('bargeDraft').textContent = draft.toFixed(2);
-    document.getElementById('bargeLength').textContent = mainFloat.width.toFixed(2);
-    document.getElementById('bargeWidth').textContent = mainFloat.depth.toFixed(2);
-    document.getElementById('bargeCenterX').textContent = barge.centerFlotation.x.toFixed(2);
-    document.getElementById('bargeCenterY').textContent = barge.centerFlotation.y.toFixed(2);
-    document.getElementById('bargeCenterZ').textContent = barge.centerFlotation.z.toFixed(2);
+    document.getElementById('bargeArea').textContent = formatValue(barge.calculateArea(), 'area');
+    document.getElementById('bargeDisplacement').textContent = formatValue(barge.displacement, 'displacement');
+    document.getElementById('bargeDraft').textContent = formatValue(barge.draft, 'length');
+    document.getElementById('bargeLength').textContent = formatValue(extents.maxX - extents.minX, 'length');
+    document.getElementById('bargeWidth').textContent = formatValue(extents.maxZ - extents.minZ, 'length');
+    document.getElementById('bargeCenterX').textContent = formatValue(barge.centerFlotation.x, 'length');
+    document.getElementById('bargeCenterY').textContent = formatValue(barge.centerFlotation.y, 'length');
+    document.getElementById('bargeCenterZ').textContent = formatValue(barge.centerFlotation.z, 'length');
     document.getElementById('bargeTiltX').textContent = (barge.tiltX * 180 / Math.PI).toFixed(2);
     document.getElementById('bargeTiltZ').textContent = (barge.tiltZ * 180 / Math.PI).toFixed(2);
-}
\ No newline at end of file
+
+    document.getElementById('bargeEquilibrium').textContent = getEquilibriumStatus();
+    document.getElementById('bargeDamage').textContent = describeDamage();
+    document.getElementById('bargeFreeboard').textContent = formatValue(barge.freeboard, 'length');
+    const minFreeboard = barge.getMinFreeboard();
+    document.getElementById('bargeFreeboardRow').classList.toggle('failed', minFreeboard !== null && barge.freeboard < minFreeboard);
+    document.getElementById('bargeWindArm').textContent = barge.wind.speed > 0
+        ? formatValue(Math.hypot(barge.windLoad.heelingArm.x, barge.windLoad.heelingArm.z), 'length', 3)
+        : '-';
+    updateWaveProperties();
+    updateSeabedProperties();
+
+    const warnings = document.getElementById('layoutWarnings');
+    const warningText = barge.layoutIssues.join('\n');
+    if (warnings.textContent !== warningText) {
+        warnings.textContent = warningText;
+    }
+    warnings.classList.toggle('visible', barge.layoutIssues.length > 0);
+
+    const stability = barge.stability;
+    document.getElementById('bargeKB').textContent = formatValue(stability.KB, 'length');
+    document.getElementById('bargeKG').textContent = formatValue(stability.KG, 'length');
+    document.getElementById('bargeBMt').textContent = formatValue(stability.BMt, 'length');
+    document.getElementById('bargeBMl').textContent = formatValue(stability.BMl, 'length');
+    document.getElementById('bargeGMt').textContent = formatValue(stability.GMt, 'length');
+    document.getElementById('bargeGMl').textContent = formatValue(stability.GMl, 'length');
+    document.getElementById('bargeFSC').textContent =
+        formatValue(stability.FSCt, 'length') + ' / ' + formatValue(stability.FSCl, 'length');
+    document.getElementById('bargeGMtRow').classList.toggle('unstable', stability.GMt < 0);
+    document.getElementById('bargeGMlRow').classList.toggle('unstable', stability.GMl < 0);
+    document.getElementById('bargeProperties').classList.toggle('unstable', stability.GMt < 0 || stability.GMl < 0);
+}
+
+function showGZPanel() {
+    document.getElementById('gzPanel').classList.add('visible');
+    document.getElementById('analysisContent').classList.remove('active');
+    updateGZChart();
+}
+
+function hideGZPanel() {
+    document.getElementById('gzPanel').classList.remove('visible');
+}
+
+function updateGZChart() {
+    const axis = document.getElementById('gzAxis').value;
+    gzCurve = barge.calculateGZCurve(axis, 60, 2);
+    gzLastUpdate = performance.now();
+
+    const formatAngle = (angle) => angle === null ? '> 60°' : angle.toFixed(1) + '°';
+    document.getElementById('gzMax').textContent = gzCurve.maxGZ
+        ? formatValue(gzCurve.maxGZ.gz, 'length') + ' ' + unitLabel('length') + ' @ ' + gzCurve.maxGZ.angle.toFixed(0) + '°'
+        : '-';
+    document.getElementById('gzVanishing').textContent = formatAngle(gzCurve.vanishingAngle);
+    document.getElementById('gzDeckEdge').textContent = formatAngle(gzCurve.deckEdgeAngle);
+    let windHeel = '-';
+    if (barge.wind.speed > 0) {
+        windHeel = gzCurve.steadyAngle === null && gzCurve.maxGZ && gzCurve.heelingArm > gzCurve.maxGZ.gz
+            ? 'None, wind arm exceeds GZ'
+            : formatAngle(gzCurve.steadyAngle);
+    }
+    document.getElementById('gzWindHeel').textContent = windHeel;
+
+    drawGZChart();
+}
+
+function getGZChartBounds(canvas) {
+    const left = 40;
+    const top = 10;
+    return { left, top, width: canvas.width - left - 10, height: canvas.height - top - 30 };
+}
+
+function drawGZChart() {
+    const canvas = document.getElementById('gzCanvas');
+    const ctx = canvas.getContext('2d');
+    const bounds = getGZChartBounds(canvas);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!gzCurve || gzCurve.points.length === 0) return;
+
+    const values = [...gzCurve.points.map(point => point.gz), gzCurve.heelingArm].map(gz => toDisplay(gz, 'length'));
+    const maxValue = Math.max(0.5, ...values) * 1.1;
+    const minValue = Math.min(0, ...values) * 1.1;
+
+    const toX = (angle) => bounds.left + angle / 60 * bounds.width;
+    const toY = (gz) => bounds.top + (maxValue - toDisplay(gz, 'length')) / (maxValue - minValue) * bounds.height;
+
+    ctx.strokeStyle = '#ddd';
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Arial';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    for (let angle = 0; angle <= 60; angle += 10) {
+        ctx.beginPath();
+        ctx.moveTo(toX(angle), bounds.top);
+        ctx.lineTo(toX(angle), bounds.top + bounds.height);
+        ctx.stroke();
+        ctx.fillText(angle + '°', toX(angle), bounds.top + bounds.height + 14);
+    }
+    ctx.fillText(gzCurve.axis === 'heel' ? 'Heel angle' : 'Trim angle', bounds.left + bounds.width / 2, canvas.height - 2);
+
+    ctx.textAlign = 'right';
+    const gridStep = Math.pow(10, Math.floor(Math.log10(maxValue - minValue))) / 2;
+    for (let value = Math.ceil(minValue / gridStep) * gridStep; value <= maxValue; value += gridStep) {
+        const y = toY(fromDisplay(value, 'length'));
+        ctx.beginPath();
+        ctx.moveTo(bounds.left, y);
+        ctx.lineTo(bounds.left + bounds.width, y);
+        ctx.stroke();
+        ctx.fillText(value.toFixed(1), bounds.left - 4, y + 3);
+    }
+
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(bounds.left, toY(0));
+    ctx.lineTo(bounds.left + bounds.width, toY(0));
+    ctx.stroke();
+
+    const drawMarker = (angle, color, label) => {
+        if (angle === null) return;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(angle), bounds.top);
+        ctx.lineTo(toX(angle), bounds.top + bounds.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'left';
+        ctx.fillText(label, toX(angle) + 3, bounds.top + 10);
+    };
+    drawMarker(gzCurve.deckEdgeAngle, '#1e90ff', 'Deck edge');
+    drawMarker(gzCurve.vanishingAngle, '#d32f2f', 'AVS');
+
+    if (barge.wind.speed > 0) {
+        ctx.strokeStyle = '#9c27b0';
+        ctx.fillStyle = '#9c27b0';
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(gzCurve.heelingArm));
+        ctx.lineTo(toX(60), toY(gzCurve.heelingArm));
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText('Wind arm', toX(60) - 3, toY(gzCurve.heelingArm) - 4);
+        drawMarker(gzCurve.steadyAngle, '#9c27b0', 'Wind heel');
+    }
+
+    ctx.strokeStyle = '#4CAF50';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    gzCurve.points.forEach((point, i) => {
+        if (i === 0) {
+            ctx.moveTo(toX(point.angle), toY(point.gz));
+        } else {
+            ctx.lineTo(toX(point.angle), toY(point.gz));
+        }
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    if (gzCurve.maxGZ) {
+        ctx.fillStyle = '#ff6347';
+        ctx.beginPath();
+        ctx.arc(toX(gzCurve.maxGZ.angle), toY(gzCurve.maxGZ.gz), 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.textAlign = 'left';
+        ctx.fillText('Max GZ', toX(gzCurve.maxGZ.angle) + 6, toY(gzCurve.maxGZ.gz) - 6);
+    }
+
+    if (gzHoverAngle !== null) {
+        const point = gzCurve.points.reduce((nearest, candidate) =>
+            Math.abs(candidate.angle - gzHoverAngle) < Math.abs(nearest.angle - gzHoverAngle) ? candidate : nearest);
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        ctx.arc(toX(point.angle), toY(point.gz), 3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.textAlign = point.angle > 40 ? 'right' : 'left';
+        ctx.fillText(point.angle.toFixed(0) + '°: ' + formatValue(point.gz, 'length', 3) + ' ' + unitLabel('length'), toX(point.angle) + (point.angle > 40 ? -6 : 6), toY(point.gz) + 14);
+    }
+}
+
+function downloadFile(fileName, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function saveProject() {
+    downloadFile('barge-project.json', JSON.stringify(barge.toJSON(), null, 2), 'application/json');
+    document.getElementById('fileContent').classList.remove('active');
+}
+
+function openProject(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    document.getElementById('fileContent').classList.remove('active');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let project;
+        try {
+            project = parseProject(reader.result);
+        } catch (error) {
+            alert(`Could not open ${file.name}.\n\n${error.message}`);
+            return;
+        }
+
+        stopStagePlayback();
+        const before = captureState();
+        setSelection([]);
+        barge.loadJSON(project);
+        stagePosition = 0;
+        updateDragPlane();
+        updateSeabedSurface();
+        showEnvironmentSettings();
+        renderCriteriaTable();
+        renderTankTable();
+        renderStageTable();
+        commitHistory(before);
+    };
+    reader.readAsText(file);
+}
+
+function showReportDialog() {
+    document.getElementById('fileContent').classList.remove('active');
+    const date = document.getElementById('reportDate');
+    if (!date.value) {
+        date.value = new Date().toISOString().slice(0, 10);
+    }
+    document.getElementById('reportDialog').classList.add('visible');
+}
+
+function hideReportDialog() {
+    document.getElementById('reportDialog').classList.remove('visible');
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Renders the plan and elevation views one after another and reads each frame back
+// straight away, then puts the camera back where the user left it.
+function captureViewSnapshots() {
+    const position = camera.position.clone();
+    const quaternion = camera.quaternion.clone();
+    const snapshots = [];
+
+    for (let [title, setView] of [['Plan (X-Z)', setXZView], ['Side elevation (X-Y)', setXYView], ['End elevation (Y-Z)', setYZView]]) {
+        setView();
+        renderer.render(scene, camera);
+        snapshots.push({ title, image: renderer.domElement.toDataURL('image/png') });
+    }
+
+    camera.position.copy(position);
+    camera.quaternion.copy(quaternion);
+    renderer.render(scene, camera);
+    return snapshots;
+}
+
+function buildReportHTML(titleBlock, snapshots) {
+    const length = (value) => formatValue(value, 'length');
+    const degrees = (radians) => (radians * 180 / Math.PI).toFixed(2) + '°';
+    const table = (headers, rows) => `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${escapeHTML(header)}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>`;
+
+    const lengthUnit = unitLabel('length');
+    const weightUnit = unitLabel('weight');
+    const stability = barge.stability;
+    const totalWeight = barge.calculateCenterGravity();
+
+    const floatRows = barge.floats.map(float => [
+        float.id,
+        length(float.width),
+        length(float.depth),
+        length(float.height),
+        formatValue(float.weight, 'weight'),
+        length(float.restPosition.x),
+        length(float.restPosition.y),
+        length(float.restPosition.z)
+    ]);
+
+    const tankRows = barge.floats.flatMap(float => float.tanks.map(tank => [
+        float.id,
+        tank.name,
+        `${length(tank.length)} × ${length(tank.width)} × ${length(tank.height)}`,
+        (tank.fill * 100).toFixed(0) + '%',
+        formatValue(tank.density, 'density'),
+        formatValue(tank.getContents().weight, 'weight')
+    ]));
+
+    // A crane's hook load gets its own row, with its CG at the boom tip
+    const itemRows = barge.items.flatMap(item => {
+        const cg = item.getCenterGravity();
+        const rows = [[
+            item.id,
+            item.name,
+            `${length(item.width)} × ${length(item.depth)} × ${length(item.height)}`,
+            formatValue(item.weight, 'weight'),
+            length(item.restPosition.x),
+            length(item.restPosition.z),
+            length(cg.x),
+            length(cg.y),
+            length(cg.z)
+        ]];
+        if (item instanceof Crane) {
+            const tip = item.getBoomTip();
+            rows.push([
+                item.id,
+                `${item.name} hook load`,
+                `radius ${length(item.radius)} @ slew ${item.slew.toFixed(0)}°`,
+                formatValue(item.hookLoad, 'weight'),
+                length(tip.x),
+                length(tip.z),
+                length(tip.x),
+                length(tip.y),
+                length(tip.z)
+            ]);
+        }
+        return rows;
+    });
+
+    const minFreeboard = barge.getMinFreeboard();
+    const resultRows = [
+        ['Equilibrium', getEquilibriumStatus()],
+        ['Damage', describeDamage()],
+        ['Total weight', `${formatValue(totalWeight, 'weight')} ${weightUnit}`],
+        ['Displacement', `${formatValue(barge.displacement, 'displacement')} ${unitLabel('displacement')}`],
+        ['Draft', `${length(barge.draft)} ${lengthUnit}`],
+        ['Heel (Tilt X)', degrees(barge.tiltX)],
+        ['Trim (Tilt Z)', degrees(barge.tiltZ)],
+        ['Center of flotation X / Z', `${length(barge.centerFlotation.x)} / ${length(barge.centerFlotation.z)} ${lengthUnit}`],
+        ['Center of gravity X / Y / Z', `${length(barge.centerGravity.x)} / ${length(barge.centerGravity.y)} / ${length(barge.centerGravity.z)} ${lengthUnit}`],
+        ['KB / KG', `${length(stability.KB)} / ${length(stability.KG)} ${lengthUnit}`],
+        ['BM transverse / longitudinal', `${length(stability.BMt)} / ${length(stability.BMl)} ${lengthUnit}`],
+        ['Free surface correction transverse / longitudinal', `${length(stability.FSCt)} / ${length(stability.FSCl)} ${lengthUnit}`],
+        ['GM transverse / longitudinal', `${length(stability.GMt)} / ${length(stability.GMl)} ${lengthUnit}`],
+        ['Minimum freeboard', `${length(barge.freeboard)} ${lengthUnit}` +
+            (minFreeboard !== null ? ` (limit ${length(minFreeboard)} ${lengthUnit})` : '')],
+        ['Wind', barge.wind.speed > 0
+            ? `${formatValue(barge.wind.speed, 'speed')} ${unitLabel('speed')} toward ${barge.wind.direction.toFixed(0)}°, ` +
+                `lateral area ${formatValue(barge.windLoad.area, 'area')} ${unitLabel('area')}, ` +
+                `heeling arm ${formatValue(Math.hypot(barge.windLoad.heelingArm.x, barge.windLoad.heelingArm.z), 'length', 3)} ${lengthUnit}`
+            : 'None'],
+        ['Waves', describeWaveResponse()],
+        ['Seabed', describeSeabed()]
+    ];
+
+    const criteriaRows = barge.criteriaResults.map(result => {
+        const metric = CRITERIA_METRICS[result.rule.metric];
+        const limit = `${metric.bound === 'min' ? '≥' : '≤'} ${formatCriterion(result.rule.limit, metric.quantity)}`;
+        const value = result.value === null ? '-' : formatCriterion(result.value, metric.quantity);
+        const outcome = result.passed ? 'Pass' : result.value === null
+            ? 'Fail (no equilibrium)'
+            : `Fail by ${formatCriterion(-result.margin, metric.quantity)}`;
+        return [result.label, limit, value, outcome];
+    });
+
+    const momentUnit = unitLabel('moment');
+    const strengthResult = getEquilibriumStatus() === 'Converged' ? barge.calculateStrength() : null;
+    const strengthRows = strengthResult ? [
+        ['Max shear force', `${formatValue(Math.abs(strengthResult.maxShear.value), 'weight')} ${weightUnit} at X ${length(strengthResult.maxShear.x)} ${lengthUnit}`],
+        ['Max bending moment', `${formatValue(Math.abs(strengthResult.maxMoment.value), 'moment')} ${momentUnit} ` +
+            `${strengthResult.maxMoment.value >= 0 ? 'hogging' : 'sagging'} at X ${length(strengthResult.maxMoment.x)} ${lengthUnit}`]
+    ] : [];
+    const jointRows = strengthResult ? strengthResult.joints.map(joint => [
+        `Float ${joint.aft.id} / Float ${joint.fore.id}`,
+        length(joint.x),
+        formatValue(joint.shear, 'weight'),
+        formatValue(joint.moment, 'moment'),
+        formatCapacity(joint.capacity),
+        formatUtilization(joint)
+    ]) : [];
+    const stageAngle = (value) => value === '-' ? value : value + '°';
+    const stageRows = describeStages().map((stage, i) =>
+        [i + 1, stage.name, stage.draft, stageAngle(stage.heel), stageAngle(stage.trim), stage.result, stage.failed || '-']);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(titleBlock.project || 'Barge')} - Stability Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 20px; }
+        h1 { font-size: 20px; margin: 0 0 10px 0; }
+        h2 { font-size: 14px; border-bottom: 2px solid #4CAF50; padding-bottom: 3px; margin-top: 24px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 10px; }
+        th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+        th { background: #eee; }
+        .title-block td:first-child { font-weight: bold; width: 30%; }
+        .snapshot { page-break-inside: avoid; margin-bottom: 16px; }
+        .snapshot img { width: 100%; border: 1px solid #999; }
+        .print-button { float: right; }
+        @media print { .print-button { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <h1>Barge Stability Report</h1>
+    <table class="title-block">
+        <tbody>
+            <tr><td>Project</td><td>${escapeHTML(titleBlock.project)}</td></tr>
+            <tr><td>Engineer</td><td>${escapeHTML(titleBlock.engineer)}</td></tr>
+            <tr><td>Date</td><td>${escapeHTML(titleBlock.date)}</td></tr>
+            <tr><td>Water density</td><td>${formatValue(barge.waterDensity, 'density')} ${escapeHTML(unitLabel('density'))}</td></tr>
+        </tbody>
+    </table>
+
+    <h2>Hydrostatic Results</h2>
+    ${table(['Quantity', 'Value'], resultRows)}
+
+    <h2>Stability Criteria</h2>
+    ${criteriaRows.length > 0 ? table(['Criterion', 'Limit', 'Value', 'Result'], criteriaRows) : '<p>No criteria enabled.</p>'}
+
+    <h2>Longitudinal Strength</h2>
+    ${strengthResult
+        ? table(['Quantity', 'Value'], strengthRows) + (jointRows.length > 0
+            ? table(['Joint', `X (${lengthUnit})`, `Shear (${weightUnit})`, `Moment (${momentUnit})`,
+                `Capacity (${weightUnit} / ${momentUnit})`, 'Utilization'], jointRows)
+            : '<p>No float-to-float joints along the length.</p>')
+        : '<p>No equilibrium to work from.</p>'}
+
+    <h2>Floats</h2>
+    ${table(['ID', `Length (${lengthUnit})`, `Width (${lengthUnit})`, `Height (${lengthUnit})`, `Weight (${weightUnit})`,
+        `X (${lengthUnit})`, `Y (${lengthUnit})`, `Z (${lengthUnit})`], floatRows)}
+    ${tankRows.length > 0
+        ? `<h2>Ballast Tanks</h2>
+    ${table(['Float', 'Tank', `L × W × H (${lengthUnit})`, 'Fill', `Density (${unitLabel('density')})`, `Weight (${weightUnit})`], tankRows)}`
+        : ''}
+
+    <h2>Items and Loads</h2>
+    ${itemRows.length > 0
+        ? table(['ID', 'Name', `L × W × H (${lengthUnit})`, `Weight (${weightUnit})`, `X (${lengthUnit})`, `Z (${lengthUnit})`,
+            `CG X (${lengthUnit})`, `CG Y (${lengthUnit})`, `CG Z (${lengthUnit})`], itemRows)
+        : '<p>No items on deck.</p>'}
+    ${stageRows.length > 0
+        ? `<h2>Load Stages</h2>
+    ${table(['Stage', 'Name', `Draft (${lengthUnit})`, 'Heel', 'Trim', 'Result', 'Failed criteria'], stageRows)}`
+        : ''}
+
+    <h2>Views</h2>
+    ${snapshots.map(snapshot => `
+    <div class="snapshot">
+        <h3>${escapeHTML(snapshot.title)}</h3>
+        <img src="${snapshot.image}" alt="${escapeHTML(snapshot.title)}">
+    </div>`).join('')}
+</body>
+</html>`;
+}
+
+function exportReport() {
+    const titleBlock = {
+        project: document.getElementById('reportProject').value,
+        engineer: document.getElementById('reportEngineer').value,
+        date: document.getElementById('reportDate').value
+    };
+
+    const report = window.open('', '_blank');
+    if (!report) {
+        alert('The report window was blocked. Allow pop-ups for this page and try again.');
+        return;
+    }
+
+    report.document.write(buildReportHTML(titleBlock, captureViewSnapshots()));
+    report.document.close();
+    report.focus();
+    hideReportDialog();
+}
+
+function openCSVFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    document.getElementById('fileContent').classList.remove('active');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const table = parseCSV(reader.result);
+        if (table.headers.length === 0) {
+            alert(`Could not import ${file.name}.\n\nThe file is empty.`);
+            return;
+        }
+
+        csvImport = { fileName: file.name, table };
+        document.getElementById('csvFileName').textContent = file.name;
+        document.getElementById('csvDialog').classList.add('visible');
+        renderCSVMapping();
+    };
+    reader.readAsText(file);
+}
+
+function hideCSVDialog() {
+    document.getElementById('csvDialog').classList.remove('visible');
+    csvImport = null;
+}
+
+// One column picker per field, preselected from the header names.
+function renderCSVMapping() {
+    const kind = document.getElementById('csvKind').value;
+    const mapping = guessColumnMapping(csvImport.table.headers, kind);
+    const container = document.getElementById('csvMapping');
+    container.innerHTML = '';
+
+    for (let field of CSV_FIELDS[kind]) {
+        const row = document.createElement('div');
+        row.className = 'property';
+        const label = document.createElement('span');
+        label.className = 'property-label';
+        label.textContent = field.label + (field.quantity ? ` (${unitLabel(field.quantity)})` : '') + (field.required ? ' *' : '') + ':';
+
+        const select = document.createElement('select');
+        select.className = 'property-input';
+        select.dataset.field = field.key;
+        select.add(new Option('— not mapped —', -1));
+        csvImport.table.headers.forEach((header, i) => select.add(new Option(header || `Column ${i + 1}`, i)));
+        select.value = mapping[field.key];
+
+        row.append(label, select);
+        container.appendChild(row);
+    }
+    validateCSVImport();
+}
+
+function validateCSVImport() {
+    const kind = document.getElementById('csvKind').value;
+    const mapping = {};
+    for (let select of document.querySelectorAll('#csvMapping select')) {
+        mapping[select.dataset.field] = parseInt(select.value);
+    }
+
+    const result = mapCSVRows(csvImport.table, mapping, kind);
+    csvImport.result = result;
+
+    // A unit in a column header overrides the current units for that column
+    csvImport.units = {};
+    const unitErrors = [];
+    const converted = [];
+    for (let field of CSV_FIELDS[kind]) {
+        if (!field.quantity || !(mapping[field.key] >= 0)) continue;
+        const unit = getHeaderUnit(csvImport.table.headers[mapping[field.key]]);
+        if (unit === '') continue;
+
+        const system = findUnitSystem(unit, field.quantity);
+        if (!system) {
+            const known = Object.values(UNIT_SYSTEMS).map(units => units[field.quantity].label).join(' or ');
+            unitErrors.push(`${field.label} column is in "${unit}", which is not ${known}`);
+        } else {
+            csvImport.units[field.key] = system;
+            if (system !== unitSystem) converted.push(`${field.label} from ${unit}`);
+        }
+    }
+    result.errors.unshift(...unitErrors);
+
+    document.getElementById('csvStatus').textContent = result.errors.length > 0
+        ? `${result.errors.length} problem${result.errors.length === 1 ? '' : 's'} found. Fix the file or the mapping to import.`
+        : `${result.records.length} ${kind} ready to import.` +
+            (converted.length > 0 ? ` Converting ${converted.join(', ')}, as the column headers give.` : '');
+
+    const list = document.getElementById('csvErrors');
+    list.innerHTML = '';
+    for (let error of result.errors) {
+        const entry = document.createElement('li');
+        entry.textContent = error;
+        list.appendChild(entry);
+    }
+    document.getElementById('applyCSVButton').disabled = result.errors.length > 0 || result.records.length === 0;
+}
+
+function applyCSVImport() {
+    const kind = document.getElementById('csvKind').value;
+    const replace = document.getElementById('csvReplace').checked;
+    if (!csvImport || !csvImport.result || csvImport.result.errors.length > 0) return;
+
+    const rows = csvImport.result.records.map(record => {
+        const row = {};
+        for (let field of CSV_FIELDS[kind]) {
+            const value = record.values[field.key];
+            if (value === undefined) continue;
+            const system = csvImport.units[field.key] || unitSystem;
+            row[field.key] = field.quantity ? value / UNIT_SYSTEMS[system][field.quantity].factor : value;
+        }
+        return row;
+    });
+
+    const before = captureState();
+    setSelection([]);
+    const created = kind === 'items' ? barge.importItems(rows, replace) : barge.importFloats(rows, replace);
+    updateDragPlane();
+    setSelection(created);
+    commitHistory(before);
+    hideCSVDialog();
+}
+
+// Writes the current items or floats in the display units, with headers that map straight back on import.
+function exportCSV(kind) {
+    const fields = CSV_FIELDS[kind];
+    const valuesOf = kind === 'items'
+        ? (item) => ({
+            name: item.name,
+            weight: item.weight,
+            length: item.width,
+            width: item.depth,
+            height: item.height,
+            x: item.restPosition.x,
+            y: item.restPosition.y,
+            z: item.restPosition.z,
+            cgOffsetX: item.cgOffsetX,
+            cgHeight: item.cgHeight,
+            cgOffsetZ: item.cgOffsetZ,
+            color: '#' + item.color.toString(16).padStart(6, '0')
+        })
+        : (float) => ({
+            length: float.width,
+            width: float.depth,
+            height: float.height,
+            weight: float.weight,
+            x: float.restPosition.x,
+            y: float.restPosition.y,
+            z: float.restPosition.z
+        });
+
+    const header = fields.map(field => field.quantity ? `${field.label} (${unitLabel(field.quantity)})` : field.label);
+    const rows = barge[kind].map(object => {
+        const values = valuesOf(object);
+        return fields.map(field => field.quantity ? +toDisplay(values[field.key], field.quantity).toFixed(6) : values[field.key]);
+    });
+
+    downloadFile(`barge-${kind}.csv`, formatCSV([header, ...rows]), 'text/csv');
+    document.getElementById('fileContent').classList.remove('active');
+}
+
+function captureState() {
+    return JSON.stringify(barge.toJSON());
+}
+
+// Pushes the state from before an edit onto the undo stack, unless the edit changed nothing.
+function commitHistory(before) {
+    if (captureState() === before) return;
+
+    undoStack.push(before);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+}
+
+function restoreState(state) {
+    const selected = selection.map(object => ({ isItem: object instanceof Item, id: object.id }));
+
+    setSelection([]);
+    stagePlaybackTarget = null;
+    stageHistoryBefore = null;
+    barge.loadJSON(JSON.parse(state));
+    updateDragPlane();
+    updateSeabedSurface();
+    showEnvironmentSettings();
+    renderCriteriaTable();
+    renderTankTable();
+    renderStageTable();
+
+    setSelection(selected
+        .map(entry => (entry.isItem ? barge.items : barge.floats).find(object => object.id === entry.id))
+        .filter(object => object));
+}
+
+function undo() {
+    if (undoStack.length === 0) return;
+
+    redoStack.push(captureState());
+    restoreState(undoStack.pop());
+    updateHistoryButtons();
+}
+
+function redo() {
+    if (redoStack.length === 0) return;
+
+    undoStack.push(captureState());
+    restoreState(redoStack.pop());
+    updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undoButton').disabled = undoStack.length === 0;
+    document.getElementById('redoButton').disabled = redoStack.length === 0;
+}
+
+function onHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+
+    const target = event.target;
+    if (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA') return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && event.shiftKey || key === 'y') {
+        event.preventDefault();
+        redo();
+    } else if (key === 'z') {
+        event.preventDefault();
+        undo();
+    }
+}
+
+function setUnitSystem(system) {
+    unitSystem = UNIT_SYSTEMS[system] ? system : 'imperial';
+    localStorage.setItem('bargeStability.units', unitSystem);
+    document.getElementById('unitSystem').value = unitSystem;
+
+    for (let label of document.querySelectorAll('.unit[data-quantity]')) {
+        label.textContent = unitLabel(label.dataset.quantity);
+    }
+
+    showEnvironmentSettings();
+    showFloatProperties();
+    showItemProperties();
+
+    const item = getSelectedItem();
+    if (item && document.getElementById('coordX')) {
+        document.getElementById('coordX').value = formatValue(item.getPosition().x, 'length');
+        document.getElementById('coordZ').value = formatValue(item.getPosition().z, 'length');
+    }
+    if (gzCurve) {
+        updateGZChart();
+    }
+    renderCriteriaTable();
+    renderTankTable();
+    updateStageResults();
+}
+
+function showEnvironmentSettings() {
+    const preset = Object.keys(WATER_DENSITIES).find(key => WATER_DENSITIES[key] === barge.waterDensity);
+    document.getElementById('waterType').value = preset || 'custom';
+    document.getElementById('waterDensity').value = formatValue(barge.waterDensity, 'density');
+    document.getElementById('waterDensity').disabled = !!preset;
+    document.getElementById('windSpeed').value = formatValue(barge.wind.speed, 'speed');
+    document.getElementById('windDirection').value = barge.wind.direction.toFixed(0);
+    document.getElementById('waveHeight').value = formatValue(barge.wave.height, 'length');
+    document.getElementById('wavePeriod').value = barge.wave.period.toFixed(1);
+    document.getElementById('waveHeading').value = barge.wave.heading.toFixed(0);
+    document.getElementById('waveLength').textContent = barge.wave.height > 0
+        ? `${formatValue(waveLength(barge.wave.period), 'length', 0)} ${unitLabel('length')} long`
+        : 'Still water';
+    document.getElementById('seabedType').value = barge.seabed.type;
+    document.getElementById('seabedDepth').value = formatValue(barge.seabed.depth, 'length');
+    document.getElementById('seabedSlope').value = barge.seabed.slope.toFixed(1);
+    document.getElementById('seabedHeading').value = barge.seabed.heading.toFixed(0);
+    document.getElementById('seabedDepth').disabled = barge.seabed.type === 'none';
+    document.getElementById('seabedSlope').disabled = barge.seabed.type !== 'ramp';
+    document.getElementById('seabedHeading').disabled = barge.seabed.type !== 'ramp';
+}
+
+function updateWaterDensity() {
+    const before = captureState();
+    const waterType = document.getElementById('waterType').value;
+
+    if (WATER_DENSITIES[waterType]) {
+        barge.waterDensity = WATER_DENSITIES[waterType];
+    } else {
+        const input = document.getElementById('waterDensity').value;
+        const density = fromDisplay(parseFloat(input), 'density');
+        if (input !== formatValue(barge.waterDensity, 'density') && !isNaN(density) && density > 0) {
+            barge.waterDensity = density;
+        }
+    }
+
+    barge.update();
+    showEnvironmentSettings();
+    if (waterType === 'custom') {
+        document.getElementById('waterType').value = 'custom';
+        document.getElementById('waterDensity').disabled = false;
+    }
+    showFloatProperties();
+    commitHistory(before);
+}
+
+function updateWind() {
+    const before = captureState();
+    const speed = fromDisplay(parseFloat(document.getElementById('windSpeed').value), 'speed');
+    const direction = parseFloat(document.getElementById('windDirection').value);
+    if (!isNaN(speed) && speed >= 0) {
+        barge.wind.speed = speed;
+    }
+    if (!isNaN(direction)) {
+        barge.wind.direction = ((direction % 360) + 360) % 360;
+    }
+    barge.update();
+    showEnvironmentSettings();
+    commitHistory(before);
+}
+
+function updateWaves() {
+    const before = captureState();
+    const height = fromDisplay(parseFloat(document.getElementById('waveHeight').value), 'length');
+    const period = parseFloat(document.getElementById('wavePeriod').value);
+    const heading = parseFloat(document.getElementById('waveHeading').value);
+    if (!isNaN(height) && height >= 0) {
+        barge.wave.height = height;
+    }
+    if (!isNaN(period) && period > 0) {
+        barge.wave.period = period;
+    }
+    if (!isNaN(heading)) {
+        barge.wave.heading = ((heading % 360) + 360) % 360;
+    }
+    waveHistory = [];
+    barge.update();
+    showEnvironmentSettings();
+    commitHistory(before);
+}
+
+function updateSeabed() {
+    const before = captureState();
+    const depth = fromDisplay(parseFloat(document.getElementById('seabedDepth').value), 'length');
+    const slope = parseFloat(document.getElementById('seabedSlope').value);
+    const heading = parseFloat(document.getElementById('seabedHeading').value);
+    barge.seabed.type = document.getElementById('seabedType').value;
+    if (!isNaN(depth)) {
+        barge.seabed.depth = depth;
+    }
+    if (!isNaN(slope) && slope >= 0 && slope < 90) {
+        barge.seabed.slope = slope;
+    }
+    if (!isNaN(heading)) {
+        barge.seabed.heading = ((heading % 360) + 360) % 360;
+    }
+    barge.update();
+    updateSeabedSurface();
+    showEnvironmentSettings();
+    commitHistory(before);
+}
+
+function toggleLayoutMode() {
+    layoutMode = !layoutMode;
+    layoutGrid.visible = layoutMode;
+    document.getElementById('layoutModeButton').textContent = layoutMode ? 'Layout Mode: On' : 'Layout Mode: Off';
+    document.getElementById('rotateFloatButton').disabled = !layoutMode;
+    document.getElementById('buildContent').classList.remove('active');
+}
+
+// In damage mode a click on a float floods it, or makes it intact again, instead of dragging it.
+function toggleDamageMode() {
+    damageMode = !damageMode;
+    document.getElementById('damageModeButton').textContent = damageMode ? 'Damage Mode: On' : 'Damage Mode: Off';
+    document.getElementById('analysisContent').classList.remove('active');
+}
+
+function setFloatFlooded(float, flooded) {
+    const before = captureState();
+    float.setFlooded(flooded);
+    barge.update();
+    showFloatProperties();
+    commitHistory(before);
+}
+
+function updateFloatDamage() {
+    const float = getSelectedFloat();
+    if (!float) return;
+
+    const permeability = parseFloat(document.getElementById('floatPermeability').value);
+    if (!isNaN(permeability)) {
+        float.permeability = Math.max(0, Math.min(100, permeability)) / 100;
+    }
+    setFloatFlooded(float, document.getElementById('floatFlooded').checked);
+}
+
+// 'Intact', or which floats are flooded and how permeable each one is.
+function describeDamage() {
+    const flooded = barge.floats.filter(float => float.flooded);
+    if (flooded.length === 0) return 'Intact';
+    return 'Flooded ' + flooded.map(float => `Float ${float.id} (${(float.permeability * 100).toFixed(0)}%)`).join(', ');
+}
+
+function rotateSelectedFloat() {
+    const float = getSelectedFloat();
+    if (!layoutMode || !float) return;
+
+    const before = captureState();
+    barge.rotateFloat(float);
+    updateDragPlane();
+    showFloatProperties();
+    commitHistory(before);
+}
+
+function showCriteriaPanel() {
+    document.getElementById('criteriaPanel').classList.add('visible');
+    document.getElementById('analysisContent').classList.remove('active');
+    renderCriteriaTable();
+}
+
+function hideCriteriaPanel() {
+    document.getElementById('criteriaPanel').classList.remove('visible');
+}
+
+function formatCriterion(value, quantity) {
+    if (quantity === 'angle') return value.toFixed(2) + '°';
+    return formatValue(value, quantity) + ' ' + unitLabel(quantity);
+}
+
+// Rows are only rebuilt when the rules change, so a limit being typed keeps its focus
+// while updateCriteriaStatus() refreshes the values every frame.
+function renderCriteriaTable() {
+    document.getElementById('criteriaPreset').value = barge.criteria.preset;
+
+    const body = document.getElementById('criteriaRules');
+    body.innerHTML = '';
+    barge.criteria.rules.forEach((rule, index) => {
+        const metric = CRITERIA_METRICS[rule.metric];
+        const isAngle = metric.quantity === 'angle';
+        const row = document.createElement('tr');
+        row.dataset.index = index;
+        row.innerHTML = `
+            <td><input type="checkbox" class="criterion-enabled" ${rule.enabled ? 'checked' : ''}></td>
+            <td>${metric.label}</td>
+            <td>${metric.bound === 'min' ? '≥' : '≤'}
+                <input type="number" class="property-input criterion-limit" step="0.1"
+                    value="${isAngle ? rule.limit.toFixed(1) : formatValue(rule.limit, metric.quantity)}">
+                ${isAngle ? '°' : unitLabel(metric.quantity)}</td>
+            <td class="criterion-value">-</td>
+            <td class="criterion-result">-</td>
+            <td><span class="panel-close criterion-remove" title="Remove">×</span></td>`;
+        body.appendChild(row);
+    });
+    updateCriteriaStatus();
+}
+
+function updateCriteriaStatus() {
+    const results = barge.criteriaResults;
+    const failed = results.filter(result => !result.passed);
+    const describeFailure = (result) => {
+        if (result.value === null) return 'no equilibrium';
+        return 'by ' + formatCriterion(-result.margin, CRITERIA_METRICS[result.rule.metric].quantity);
+    };
+
+    let summary = 'Pass';
+    if (results.length === 0) {
+        summary = 'None enabled';
+    } else if (failed[0] && failed[0].value === null) {
+        summary = 'Fail: no equilibrium';
+    } else if (failed.length > 0) {
+        summary = `Fail: ${failed[0].label} ${describeFailure(failed[0])}`;
+        if (failed.length > 1) summary += ` (+${failed.length - 1} more)`;
+    }
+    document.getElementById('bargeCriteria').textContent = summary;
+    document.getElementById('bargeCriteriaRow').classList.toggle('failed', failed.length > 0);
+
+    if (!document.getElementById('criteriaPanel').classList.contains('visible')) return;
+
+    for (let row of document.getElementById('criteriaRules').rows) {
+        const rule = barge.criteria.rules[row.dataset.index];
+        const result = results.find(candidate => candidate.rule === rule);
+        const valueCell = row.querySelector('.criterion-value');
+        const resultCell = row.querySelector('.criterion-result');
+
+        valueCell.textContent = result && result.value !== null
+            ? formatCriterion(result.value, CRITERIA_METRICS[rule.metric].quantity)
+            : '-';
+        if (!result) {
+            resultCell.textContent = 'Off';
+        } else {
+            resultCell.textContent = result.passed ? 'Pass' : 'Fail ' + describeFailure(result);
+        }
+        row.classList.toggle('failed', !!result && !result.passed);
+    }
+
+    document.getElementById('criteriaSummary').textContent = results.length === 0
+        ? 'No criteria are enabled.'
+        : failed.length === 0 ? `All ${results.length} criteria pass.` : `${failed.length} of ${results.length} criteria failed.`;
+}
+
+function editCriteria(edit) {
+    const before = captureState();
+    edit(barge.criteria);
+    barge.update();
+    renderCriteriaTable();
+    commitHistory(before);
+}
+
+function updateCriteriaPreset() {
+    const preset = document.getElementById('criteriaPreset').value;
+    editCriteria((criteria) => {
+        if (CRITERIA_PRESETS[preset]) {
+            barge.criteria = createCriteria(preset);
+        } else {
+            criteria.preset = 'custom';
+        }
+    });
+}
+
+function updateCriterion(event) {
+    const row = event.target.closest('tr');
+    const rule = barge.criteria.rules[row.dataset.index];
+
+    editCriteria((criteria) => {
+        if (event.target.classList.contains('criterion-enabled')) {
+            rule.enabled = event.target.checked;
+        } else if (event.target.classList.contains('criterion-limit')) {
+            const quantity = CRITERIA_METRICS[rule.metric].quantity;
+            const value = parseFloat(event.target.value);
+            if (isNaN(value)) return;
+            rule.limit = quantity === 'angle' ? value : fromDisplay(value, quantity);
+        }
+        criteria.preset = 'custom';
+    });
+}
+
+function addCriterion() {
+    const metric = document.getElementById('criteriaMetric').value;
+    editCriteria((criteria) => {
+        criteria.rules.push({ metric, limit: 0, enabled: true });
+        criteria.preset = 'custom';
+    });
+}
+
+function removeCriterion(index) {
+    editCriteria((criteria) => {
+        criteria.rules.splice(index, 1);
+        criteria.preset = 'custom';
+    });
+}
+
+function showSimulationPanel() {
+    document.getElementById('analysisContent').classList.remove('active');
+    document.getElementById('simulationPanel').classList.add('visible');
+    if (!simulation) {
+        simulation = new BargeSimulation(barge);
+        simulation.timeScale = parseFloat(document.getElementById('simulationTimeScale').value);
+    }
+    simulation.running = true;
+    updateSimulationPanel();
+}
+
+// Leaving dynamic mode puts the barge back at its static equilibrium.
+function hideSimulationPanel() {
+    document.getElementById('simulationPanel').classList.remove('visible');
+    simulation = null;
+    barge.dynamicPose = null;
+    barge.update();
+}
+
+function toggleSimulation() {
+    simulation.running = !simulation.running;
+    if (simulation.running && simulation.status !== 'Running') {
+        simulation.reset();
+        simulation.running = true;
+    }
+    updateSimulationPanel();
+}
+
+function resetSimulation() {
+    const running = simulation.running;
+    simulation.reset();
+    simulation.running = running;
+    updateSimulationPanel();
+}
+
+function updateSimulationPanel() {
+    const latest = simulation.history[simulation.history.length - 1];
+    document.getElementById('simulationPlayButton').textContent = simulation.running ? 'Pause' : 'Play';
+    document.getElementById('simulationTime').textContent = simulation.time.toFixed(1) + ' s';
+    document.getElementById('simulationHeel').textContent = latest.heel.toFixed(2) + '°';
+    document.getElementById('simulationTrim').textContent = latest.trim.toFixed(2) + '°';
+    document.getElementById('simulationStatus').textContent = simulation.running || simulation.status !== 'Running'
+        ? simulation.status
+        : 'Paused';
+    drawSimulationPlot();
+}
+
+function drawSimulationPlot() {
+    const canvas = document.getElementById('simulationCanvas');
+    const ctx = canvas.getContext('2d');
+    const bounds = { left: 40, top: 10, width: canvas.width - 50, height: canvas.height - 35 };
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const history = simulation.history;
+    const endTime = Math.max(SIMULATION_PLOT_SECONDS, simulation.time);
+    const startTime = endTime - SIMULATION_PLOT_SECONDS;
+    const visible = history.filter(point => point.time >= startTime);
+    const extent = Math.max(1, ...visible.map(point => Math.max(Math.abs(point.heel), Math.abs(point.trim))));
+    const limit = Math.ceil(extent);
+
+    const toX = (time) => bounds.left + (time - startTime) / SIMULATION_PLOT_SECONDS * bounds.width;
+    const toY = (angle) => bounds.top + (limit - angle) / (2 * limit) * bounds.height;
+
+    ctx.strokeStyle = '#ccc';
+    ctx.strokeRect(bounds.left, bounds.top, bounds.width, bounds.height);
+    ctx.beginPath();
+    ctx.moveTo(bounds.left, toY(0));
+    ctx.lineTo(bounds.left + bounds.width, toY(0));
+    ctx.stroke();
+
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    for (let angle of [-limit, 0, limit]) {
+        ctx.fillText(angle + '°', bounds.left - 4, toY(angle) + 3);
+    }
+    ctx.textAlign = 'center';
+    ctx.fillText(startTime.toFixed(0) + ' s', bounds.left, canvas.height - 12);
+    ctx.fillText(endTime.toFixed(0) + ' s', bounds.left + bounds.width, canvas.height - 12);
+    ctx.fillText('Time', bounds.left + bounds.width / 2, canvas.height - 2);
+
+    for (let [key, color] of [['heel', '#1e90ff'], ['trim', '#ff8c00']]) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        visible.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(point.time), toY(point[key]));
+            } else {
+                ctx.lineTo(toX(point.time), toY(point[key]));
+            }
+        });
+        ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+}
+
+// Opens the sweep for the selected crane. The panel follows the crane by id, since undo and
+// loading rebuild the items, and closes if the crane is removed.
+function showSlewPanel() {
+    const crane = getSelectedItem();
+    if (!(crane instanceof Crane)) return;
+    slewSweep = { craneId: crane.id, result: null };
+    document.getElementById('slewPanel').classList.add('visible');
+    updateSlewSweep();
+}
+
+function hideSlewPanel() {
+    document.getElementById('slewPanel').classList.remove('visible');
+    slewSweep = null;
+}
+
+function updateSlewSweep() {
+    slewSweepLastUpdate = performance.now();
+    const crane = barge.items.find(item => item instanceof Crane && item.id === slewSweep.craneId);
+    if (!crane) {
+        hideSlewPanel();
+        return;
+    }
+
+    slewSweep.result = barge.layoutIssues.length > 0 ? null : barge.calculateSlewSweep(crane);
+    document.getElementById('slewCrane').textContent = crane.name;
+
+    const worst = slewSweep.result ? slewSweep.result.worst : null;
+    const worstRow = document.getElementById('slewWorst');
+    worstRow.classList.toggle('failed', worst !== null && !worst.floating);
+    if (!worst) {
+        document.getElementById('slewWorstAngle').textContent = 'Invalid layout';
+        document.getElementById('slewWorstHeel').textContent = '-';
+        document.getElementById('slewWorstFreeboard').textContent = '-';
+    } else if (!worst.floating) {
+        document.getElementById('slewWorstAngle').textContent = worst.slew + '° (no equilibrium)';
+        document.getElementById('slewWorstHeel').textContent = '-';
+        document.getElementById('slewWorstFreeboard').textContent = '-';
+    } else {
+        document.getElementById('slewWorstAngle').textContent = worst.slew + '°';
+        document.getElementById('slewWorstHeel').textContent = worst.heel.toFixed(2) + '° / ' + worst.trim.toFixed(2) + '°';
+        document.getElementById('slewWorstFreeboard').textContent = formatValue(worst.freeboard, 'length') + ' ' + unitLabel('length');
+    }
+
+    drawSlewChart();
+}
+
+function drawSlewChart() {
+    const canvas = document.getElementById('slewCanvas');
+    const ctx = canvas.getContext('2d');
+    const bounds = getGZChartBounds(canvas);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!slewSweep.result) return;
+
+    const { points, worst } = slewSweep.result;
+    const floating = points.filter(point => point.floating);
+    const limit = Math.ceil(Math.max(1, ...floating.map(point => Math.max(Math.abs(point.heel), Math.abs(point.trim)))));
+
+    const toX = (slew) => bounds.left + slew / 360 * bounds.width;
+    const toY = (angle) => bounds.top + (limit - angle) / (2 * limit) * bounds.height;
+
+    ctx.strokeStyle = '#ddd';
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Arial';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    for (let slew = 0; slew <= 360; slew += 90) {
+        ctx.beginPath();
+        ctx.moveTo(toX(slew), bounds.top);
+        ctx.lineTo(toX(slew), bounds.top + bounds.height);
+        ctx.stroke();
+        ctx.fillText(slew + '°', toX(slew), bounds.top + bounds.height + 14);
+    }
+    ctx.fillText('Slew angle', bounds.left + bounds.width / 2, canvas.height - 2);
+
+    ctx.textAlign = 'right';
+    for (let angle of [-limit, 0, limit]) {
+        ctx.fillText(angle + '°', bounds.left - 4, toY(angle) + 3);
+    }
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    ctx.moveTo(bounds.left, toY(0));
+    ctx.lineTo(bounds.left + bounds.width, toY(0));
+    ctx.stroke();
+
+    // Slews without a floating equilibrium are shaded rather than plotted
+    ctx.fillStyle = 'rgba(211, 47, 47, 0.15)';
+    const step = points.length > 1 ? points[1].slew - points[0].slew : 360;
+    for (let point of points.filter(point => !point.floating)) {
+        ctx.fillRect(toX(point.slew - step / 2), bounds.top, bounds.width * step / 360, bounds.height);
+    }
+
+    for (let [key, color] of [['heel', '#1e90ff'], ['trim', '#ff8c00']]) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let drawing = false;
+        // Close the loop back to 360°, which is the same slew as 0°
+        for (let point of [...points, { ...points[0], slew: 360 }]) {
+            if (!point.floating) {
+                drawing = false;
+            } else if (drawing) {
+                ctx.lineTo(toX(point.slew), toY(point[key]));
+            } else {
+                ctx.moveTo(toX(point.slew), toY(point[key]));
+                drawing = true;
+            }
+        }
+        ctx.stroke();
+    }
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = '#d32f2f';
+    ctx.fillStyle = '#d32f2f';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(toX(worst.slew), bounds.top);
+    ctx.lineTo(toX(worst.slew), bounds.top + bounds.height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.textAlign = worst.slew > 270 ? 'right' : 'left';
+    ctx.fillText('Worst', toX(worst.slew) + (worst.slew > 270 ? -3 : 3), bounds.top + 10);
+}
+
+function showTankPanel() {
+    document.getElementById('buildContent').classList.remove('active');
+    document.getElementById('tankPanel').classList.add('visible');
+    renderTankTable();
+}
+
+function hideTankPanel() {
+    document.getElementById('tankPanel').classList.remove('visible');
+}
+
+function findTank(row) {
+    const float = barge.floats.find(candidate => candidate.id === +row.dataset.floatId);
+    return float ? float.tanks.find(tank => tank.id === +row.dataset.tankId) : null;
+}
+
+// Any edit to the tanks makes a pending suggestion stale, so rendering drops it.
+function renderTankTable() {
+    ballastSuggestion = null;
+    const body = document.getElementById('tankRows');
+    body.innerHTML = '';
+
+    const tanks = barge.floats.flatMap(float => float.tanks);
+    for (let tank of tanks) {
+        const input = (field, value, step) =>
+            `<input type="number" class="property-input tank-${field}" step="${step}" value="${value}">`;
+        const row = document.createElement('tr');
+        row.dataset.floatId = tank.float.id;
+        row.dataset.tankId = tank.id;
+        row.innerHTML = `
+            <td>${tank.float.id}</td>
+            <td><input type="text" class="property-input tank-name"></td>
+            <td>${input('length', formatValue(tank.length, 'length'), 0.5)}</td>
+            <td>${input('width', formatValue(tank.width, 'length'), 0.5)}</td>
+            <td>${input('height', formatValue(tank.height, 'length'), 0.5)}</td>
+            <td>${input('offsetX', formatValue(tank.offset.x, 'length'), 0.5)}</td>
+            <td>${input('offsetZ', formatValue(tank.offset.z, 'length'), 0.5)}</td>
+            <td>${input('fill', (tank.fill * 100).toFixed(0), 5)}</td>
+            <td>${input('density', formatValue(tank.density, 'density'), 0.1)}</td>
+            <td>${formatValue(tank.getContents().weight, 'weight')}</td>
+            <td class="tank-suggested">-</td>
+            <td><span class="panel-close tank-remove" title="Remove">×</span></td>`;
+        row.querySelector('.tank-name').value = tank.name;
+        body.appendChild(row);
+    }
+
+    const stability = barge.stability;
+    const ballast = tanks.reduce((total, tank) => total + tank.getContents().weight, 0);
+    document.getElementById('tankSummary').textContent = tanks.length === 0
+        ? 'No tanks. Select a float and add one.'
+        : `Ballast ${formatValue(ballast, 'weight')} ${unitLabel('weight')}, free surface correction ` +
+            `${formatValue(stability.FSCt, 'length')} / ${formatValue(stability.FSCl, 'length')} ${unitLabel('length')} (transverse / longitudinal)`;
+    document.getElementById('suggestBallastButton').disabled = tanks.length === 0;
+    document.getElementById('applyBallastButton').disabled = true;
+    document.getElementById('ballastStatus').textContent = '';
+    updateTankButtons();
+}
+
+function updateTankButtons() {
+    document.getElementById('addTankButton').disabled = !getSelectedFloat();
+}
+
+function editTanks(edit) {
+    const before = captureState();
+    edit();
+    barge.update();
+    renderTankTable();
+    commitHistory(before);
+}
+
+function addTankToSelectedFloat() {
+    const float = getSelectedFloat();
+    if (!float) return;
+    editTanks(() => barge.addTank(float));
+}
+
+function removeTank(row) {
+    const tank = findTank(row);
+    if (!tank) return;
+    editTanks(() => tank.float.removeTank(tank));
+}
+
+function updateTank(event) {
+    const tank = findTank(event.target.closest('tr'));
+    if (!tank) return;
+    const field = [...event.target.classList].find(name => name.startsWith('tank-')).slice('tank-'.length);
+    const value = parseFloat(event.target.value);
+
+    editTanks(() => {
+        if (field === 'name') {
+            if (event.target.value.trim()) tank.name = event.target.value.trim();
+        } else if (isNaN(value)) {
+            return;
+        } else if (field === 'fill') {
+            tank.fill = Math.max(0, Math.min(100, value)) / 100;
+        } else if (field === 'density') {
+            if (value > 0) tank.density = fromDisplay(value, 'density');
+        } else if (field === 'offsetX' || field === 'offsetZ') {
+            tank.offset[field === 'offsetX' ? 'x' : 'z'] = fromDisplay(value, 'length');
+        } else if (value > 0) {
+            tank[field] = fromDisplay(value, 'length');
+        }
+        tank.float.fitTanks();
+    });
+}
+
+function showBallastSuggestion() {
+    const suggestion = barge.suggestBallast();
+    const tanks = barge.floats.flatMap(float => float.tanks);
+    const rows = document.getElementById('tankRows').rows;
+    tanks.forEach((tank, i) => {
+        rows[i].querySelector('.tank-suggested').textContent = (suggestion.fills[i] * 100).toFixed(0) + '%';
+    });
+
+    const ballast = tanks.reduce((total, tank, i) => total + tank.getContents(suggestion.fills[i]).weight, 0);
+    const result = suggestion.result;
+    const angles = `heel ${(result.tiltX * 180 / Math.PI).toFixed(2)}°, trim ${(result.tiltZ * 180 / Math.PI).toFixed(2)}°`;
+    let status;
+    if (suggestion.rejected === 'listing') {
+        status = 'The tanks cannot level the barge: the fills that balance it upright leave it listing further, so the fills are left as they are.';
+    } else if (suggestion.rejected === 'noEquilibrium') {
+        status = 'The tanks cannot level the barge: it has no floating equilibrium with the fills that balance it upright, so the fills are left as they are.';
+    } else if (result.isSinking) {
+        status = 'No fills found that keep the barge afloat.';
+    } else if (!result.converged) {
+        status = 'No equilibrium found with the suggested fills.';
+    } else if (suggestion.converged) {
+        status = `These fills float the barge level (${angles}) with ${formatValue(ballast, 'weight')} ${unitLabel('weight')} of ballast.`;
+    } else {
+        status = `The tanks cannot level the barge; these fills get closest (${angles}).`;
+    }
+
+    ballastSuggestion = suggestion.rejected || result.isSinking || !result.converged ? null : suggestion;
+    document.getElementById('ballastStatus').textContent = status;
+    document.getElementById('applyBallastButton').disabled = !ballastSuggestion;
+}
+
+function applyBallastSuggestion() {
+    if (!ballastSuggestion) return;
+    const fills = ballastSuggestion.fills;
+    editTanks(() => {
+        barge.floats.flatMap(float => float.tanks).forEach((tank, i) => {
+            tank.fill = fills[i];
+            tank.updateMesh();
+        });
+    });
+}
+
+function showStrengthPanel() {
+    document.getElementById('analysisContent').classList.remove('active');
+    document.getElementById('strengthPanel').classList.add('visible');
+    updateStrength();
+}
+
+function hideStrengthPanel() {
+    document.getElementById('strengthPanel').classList.remove('visible');
+    strength = null;
+}
+
+function formatCapacity(capacity) {
+    const shear = capacity.shear > 0 ? formatValue(capacity.shear, 'weight') : '-';
+    const moment = capacity.moment > 0 ? formatValue(capacity.moment, 'moment') : '-';
+    return shear + ' / ' + moment;
+}
+
+function formatUtilization(joint) {
+    return joint.utilization === null ? 'No capacity' : (joint.utilization * 100).toFixed(0) + '%';
+}
+
+function updateStrength() {
+    strengthLastUpdate = performance.now();
+    const status = getEquilibriumStatus();
+    strength = status === 'Converged' ? barge.calculateStrength() : null;
+
+    const body = document.getElementById('strengthJoints');
+    body.innerHTML = '';
+    if (!strength) {
+        document.getElementById('strengthMaxShear').textContent = status;
+        document.getElementById('strengthMaxMoment').textContent = '-';
+        document.getElementById('strengthSummary').textContent = '';
+        drawStrengthChart();
+        return;
+    }
+
+    const { maxShear, maxMoment, joints } = strength;
+    document.getElementById('strengthMaxShear').textContent =
+        `${formatValue(Math.abs(maxShear.value), 'weight')} ${unitLabel('weight')} at X ${formatValue(maxShear.x, 'length')} ${unitLabel('length')}`;
+    document.getElementById('strengthMaxMoment').textContent =
+        `${formatValue(Math.abs(maxMoment.value), 'moment')} ${unitLabel('moment')} ${maxMoment.value >= 0 ? 'hogging' : 'sagging'} ` +
+        `at X ${formatValue(maxMoment.x, 'length')} ${unitLabel('length')}`;
+
+    for (let joint of joints) {
+        const row = document.createElement('tr');
+        row.classList.toggle('failed', !joint.passed);
+        for (let text of [
+            `${joint.aft.id} / ${joint.fore.id}`,
+            formatValue(joint.x, 'length'),
+            formatValue(joint.shear, 'weight'),
+            formatValue(joint.moment, 'moment'),
+            formatCapacity(joint.capacity),
+            formatUtilization(joint)
+        ]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    }
+
+    const failed = joints.filter(joint => !joint.passed).length;
+    const unchecked = joints.filter(joint => joint.utilization === null).length;
+    let summary;
+    if (joints.length === 0) {
+        summary = 'No float-to-float joints along the length';
+    } else if (failed > 0) {
+        summary = `${failed} of ${joints.length} joints over capacity`;
+    } else if (unchecked === joints.length) {
+        summary = 'Enter connector capacities on the floats to check the joints';
+    } else {
+        summary = 'All joints within capacity';
+    }
+    if (unchecked > 0 && unchecked < joints.length) {
+        summary += ` (${unchecked} without a capacity)`;
+    }
+    document.getElementById('strengthSummary').textContent = summary;
+    document.getElementById('strengthSummary').classList.toggle('failed', failed > 0);
+
+    drawStrengthChart();
+}
+
+// Shear on the upper plot and bending moment on the lower, against X, with the joints marked.
+function drawStrengthChart() {
+    const canvas = document.getElementById('strengthCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!strength) return;
+
+    const { stations, joints } = strength;
+    const left = 60;
+    const width = canvas.width - left - 10;
+    const plotHeight = (canvas.height - 50) / 2;
+    const minX = stations[0].x;
+    const maxX = stations[stations.length - 1].x;
+    const toX = (x) => left + (x - minX) / (maxX - minX || 1) * width;
+
+    const plots = [
+        { key: 'shear', quantity: 'weight', color: '#1e90ff', top: 10, label: 'Shear' },
+        { key: 'moment', quantity: 'moment', color: '#ff8c00', top: 30 + plotHeight, label: 'Moment' }
+    ];
+    for (let plot of plots) {
+        const limit = Math.max(1, ...stations.map(station => Math.abs(station[plot.key])));
+        const toY = (value) => plot.top + (limit - value) / (2 * limit) * plotHeight;
+
+        ctx.strokeStyle = '#ddd';
+        ctx.strokeRect(left, plot.top, width, plotHeight);
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        for (let value of [-limit, 0, limit]) {
+            ctx.fillText(formatValue(value, plot.quantity), left - 4, toY(value) + 3);
+        }
+        ctx.textAlign = 'left';
+        ctx.fillText(`${plot.label} (${unitLabel(plot.quantity)})`, left + 4, plot.top + 10);
+
+        ctx.strokeStyle = '#333';
+        ctx.beginPath();
+        ctx.moveTo(left, toY(0));
+        ctx.lineTo(left + width, toY(0));
+        ctx.stroke();
+
+        for (let joint of joints) {
+            ctx.strokeStyle = joint.passed ? '#999' : '#d32f2f';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(toX(joint.x), plot.top);
+            ctx.lineTo(toX(joint.x), plot.top + plotHeight);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = plot.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        stations.forEach((station, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(station.x), toY(station[plot.key]));
+            } else {
+                ctx.lineTo(toX(station.x), toY(station[plot.key]));
+            }
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'center';
+    ctx.fillText(formatValue(minX, 'length'), left, canvas.height - 6);
+    ctx.fillText(formatValue(maxX, 'length'), left + width, canvas.height - 6);
+    ctx.fillText(`X (${unitLabel('length')})`, left + width / 2, canvas.height - 6);
+}
+
+// ========================================
+// PLACEMENT HEATMAP
+// Shades the deck by the heel, trim or freeboard the barge would have with the selected item
+// centered on each cell, and outlines the cells where every enabled stability criterion passes.
+// Cells are solved a few at a time each frame; the map starts over whenever anything but the
+// item's own position changes.
+// ========================================
+function showPlacementPanel() {
+    const item = getSelectedItem();
+    if (!item) return;
+    hidePlacementPanel();
+
+    const canvas = document.createElement('canvas');
+    const texture = new THREE.CanvasTexture(canvas);
+    const geometry = new THREE.PlaneGeometry(1, 1);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: PLACEMENT_OPACITY, depthWrite: false });
+    const overlay = { mesh: new THREE.Mesh(geometry, material), restPosition: { x: 0, y: 0, z: 0 } };
+    scene.add(overlay.mesh);
+
+    placementMap = { itemId: item.id, canvas, texture, overlay, signature: null };
+    document.getElementById('placementPanel').classList.add('visible');
+    startPlacementMap();
+}
+
+function hidePlacementPanel() {
+    document.getElementById('placementPanel').classList.remove('visible');
+    if (!placementMap) return;
+
+    scene.remove(placementMap.overlay.mesh);
+    placementMap.overlay.mesh.geometry.dispose();
+    placementMap.overlay.mesh.material.dispose();
+    placementMap.texture.dispose();
+    placementMap = null;
+}
+
+function getPlacementSignature() {
+    const project = barge.toJSON();
+    project.items = project.items.map(item => item.id === placementMap.itemId ? { ...item, position: null } : item);
+    return JSON.stringify(project);
+}
+
+// Lays a grid over the deck, no finer than PLACEMENT_MAX_CELLS cells. Cells the item's center
+// cannot be dragged to, or that fall between floats, are left unshaded.
+function startPlacementMap() {
+    const item = barge.items.find(candidate => candidate.id === placementMap.itemId);
+    const extents = barge.getExtents();
+    const lengthX = extents.maxX - extents.minX;
+    const lengthZ = extents.maxZ - extents.minZ;
+    const size = Math.sqrt(lengthX * lengthZ / PLACEMENT_MAX_CELLS);
+    const columns = Math.max(1, Math.round(lengthX / size));
+    const rows = Math.max(1, Math.round(lengthZ / size));
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        // Alternate direction along each row so every solve starts next to the last one
+        for (let i = 0; i < columns; i++) {
+            const column = row % 2 === 0 ? i : columns - 1 - i;
+            const x = extents.minX + (column + 0.5) * lengthX / columns;
+            const z = extents.minZ + (row + 0.5) * lengthZ / rows;
+            const reachable = Math.abs(x - (extents.minX + extents.maxX) / 2) <= Math.max(0, lengthX - item.width) / 2 &&
+                Math.abs(z - (extents.minZ + extents.maxZ) / 2) <= Math.max(0, lengthZ - item.depth) / 2;
+            cells.push({ column, row, x, z, onDeck: reachable && barge.isOverDeck(x, z), result: null });
+        }
+    }
+
+    Object.assign(placementMap, {
+        extents, columns, rows, cells,
+        next: 0,
+        guess: { tiltX: barge.tiltX, tiltZ: barge.tiltZ, draft: barge.draft },
+        signature: getPlacementSignature()
+    });
+    placementMapLastCheck = performance.now();
+
+    placementMap.canvas.width = columns * PLACEMENT_CELL_PIXELS;
+    placementMap.canvas.height = rows * PLACEMENT_CELL_PIXELS;
+    const overlay = placementMap.overlay;
+    overlay.mesh.scale.set(lengthX, 1, lengthZ);
+    overlay.restPosition = {
+        x: (extents.minX + extents.maxX) / 2,
+        y: barge.getDeckY((extents.minX + extents.maxX) / 2, (extents.minZ + extents.maxZ) / 2) + PLACEMENT_DECK_OFFSET,
+        z: (extents.minZ + extents.maxZ) / 2
+    };
+    document.getElementById('placementItem').textContent = item.name;
+    drawPlacementMap();
+}
+
+function updatePlacementMap() {
+    const item = barge.items.find(candidate => candidate.id === placementMap.itemId);
+    if (!item) {
+        hidePlacementPanel();
+        return;
+    }
+    if (performance.now() - placementMapLastCheck > 500) {
+        placementMapLastCheck = performance.now();
+        if (getPlacementSignature() !== placementMap.signature) {
+            startPlacementMap();
+        }
+    }
+    barge.applyPose(placementMap.overlay);
+
+    const { cells } = placementMap;
+    if (placementMap.next >= cells.length || barge.layoutIssues.length > 0) return;
+
+    const start = performance.now();
+    while (placementMap.next < cells.length && performance.now() - start < PLACEMENT_FRAME_BUDGET) {
+        const cell = cells[placementMap.next++];
+        if (!cell.onDeck) continue;
+        cell.result = barge.evaluatePlacement(item, cell.x, cell.z, placementMap.guess);
+        if (cell.result.floating) {
+            placementMap.guess = cell.result.equilibrium;
+        }
+    }
+    drawPlacementMap();
+}
+
+// Green for the best value on the map through to red for the worst.
+function getPlacementColor(fraction) {
+    return `hsl(${(1 - fraction) * 120}, 80%, 45%)`;
+}
+
+function drawPlacementMap() {
+    if (!placementMap || !placementMap.cells) return;
+    const { canvas, cells, columns, rows } = placementMap;
+    const metric = document.getElementById('placementMetric').value;
+    const ctx = canvas.getContext('2d');
+    const size = PLACEMENT_CELL_PIXELS;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Heel and trim are better small, freeboard better large
+    const solved = cells.filter(cell => cell.result && cell.result.floating);
+    const values = solved.map(cell => cell.result.values[metric]);
+    const best = metric === 'freeboard' ? Math.max(...values) : Math.min(...values);
+    const worst = metric === 'freeboard' ? Math.min(...values) : Math.max(...values);
+
+    // The canvas runs from minX at the left and minZ at the top, as the texture is laid on the deck
+    for (let cell of cells) {
+        if (!cell.result) continue;
+        if (!cell.result.floating) {
+            ctx.fillStyle = '#4a0000';
+        } else {
+            const fraction = worst === best ? 0 : (cell.result.values[metric] - best) / (worst - best);
+            ctx.fillStyle = getPlacementColor(fraction);
+        }
+        ctx.fillRect(cell.column * size, cell.row * size, size, size);
+    }
+
+    const passed = new Set(cells.filter(cell => cell.result && cell.result.passed).map(cell => cell.row * columns + cell.column));
+    const isPassed = (column, row) => column >= 0 && column < columns && row >= 0 && row < rows && passed.has(row * columns + column);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let index of passed) {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        const x = column * size;
+        const y = row * size;
+        for (let [dc, dr, x1, y1, x2, y2] of [[-1, 0, x, y, x, y + size], [1, 0, x + size, y, x + size, y + size],
+            [0, -1, x, y, x + size, y], [0, 1, x, y + size, x + size, y + size]]) {
+            if (!isPassed(column + dc, row + dr)) {
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+            }
+        }
+    }
+    ctx.stroke();
+    placementMap.texture.needsUpdate = true;
+
+    const onDeck = cells.filter(cell => cell.onDeck);
+    const done = onDeck.filter(cell => cell.result).length;
+    const format = (value) => metric === 'freeboard'
+        ? formatValue(value, 'length') + ' ' + unitLabel('length')
+        : value.toFixed(2) + '°';
+    document.getElementById('placementStatus').textContent = barge.layoutIssues.length > 0
+        ? 'Invalid layout'
+        : done < onDeck.length ? `Solving ${done} of ${onDeck.length} positions` : `${onDeck.length} positions`;
+    document.getElementById('placementAllowed').textContent = done > 0
+        ? (passed.size / done * 100).toFixed(0) + '% of positions'
+        : '-';
+    document.getElementById('placementRange').textContent = solved.length > 0
+        ? `${format(best)} to ${format(worst)}`
+        : '-';
+}
+
+// ========================================
+// PLACEMENT OPTIMIZER
+// Moves the selected items, or every unlocked item when none are selected, to the positions
+// the optimizer proposes, as a preview that is either accepted as one undoable edit or
+// rejected, which puts the items back.
+// ========================================
+function getOptimizerItems() {
+    const selected = getSelectedItems().filter(item => !item.locked);
+    return selected.length > 0 ? selected : barge.items.filter(item => !item.locked);
+}
+
+function showOptimizerPanel() {
+    document.getElementById('analysisContent').classList.remove('active');
+    document.getElementById('optimizerPanel').classList.add('visible');
+    updateOptimizerItems();
+}
+
+function hideOptimizerPanel() {
+    rejectPlacement();
+    document.getElementById('optimizerPanel').classList.remove('visible');
+}
+
+function updateOptimizerItems() {
+    if (placementPreview) return;
+    const items = getOptimizerItems();
+    const selected = getSelectedItems().some(item => !item.locked);
+    document.getElementById('optimizerItems').textContent = items.length === 0
+        ? 'No unlocked items'
+        : `${items.length} ${selected ? 'selected' : 'unlocked'} item${items.length === 1 ? '' : 's'}`;
+    document.getElementById('optimizeButton').disabled = items.length === 0;
+}
+
+function describeCondition() {
+    if (getEquilibriumStatus() !== 'Converged') return getEquilibriumStatus();
+    return `heel ${(barge.tiltX * 180 / Math.PI).toFixed(2)}°, trim ${(barge.tiltZ * 180 / Math.PI).toFixed(2)}°, ` +
+        `freeboard ${formatValue(barge.freeboard, 'length')} ${unitLabel('length')}`;
+}
+
+function runOptimizer() {
+    const items = getOptimizerItems();
+    if (items.length === 0 || placementPreview) return;
+    if (barge.layoutIssues.length > 0) {
+        document.getElementById('optimizerStatus').textContent = 'Fix the float layout first.';
+        return;
+    }
+
+    const before = captureState();
+    const condition = describeCondition();
+    const proposal = barge.optimizePlacement(items, document.getElementById('optimizerObjective').value);
+    const moves = proposal.map(({ item, x, z }) => ({
+        id: item.id,
+        name: item.name,
+        from: { x: item.restPosition.x, z: item.restPosition.z },
+        to: { x, z }
+    }));
+    for (let move of proposal) {
+        barge.moveItem(barge.items.indexOf(move.item), move.x, move.z);
+    }
+    placementPreview = { before, moves };
+
+    const body = document.getElementById('optimizerMoves');
+    body.innerHTML = '';
+    for (let move of moves) {
+        const row = document.createElement('tr');
+        for (let text of [
+            move.name,
+            `${formatValue(move.from.x, 'length')}, ${formatValue(move.from.z, 'length')}`,
+            `${formatValue(move.to.x, 'length')}, ${formatValue(move.to.z, 'length')}`
+        ]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+    }
+    document.getElementById('optimizerBefore').textContent = condition;
+    document.getElementById('optimizerAfter').textContent = describeCondition();
+    document.getElementById('optimizerStatus').textContent = 'Previewing the proposed arrangement.';
+    setPreviewButtons(true);
+}
+
+function setPreviewButtons(previewing) {
+    document.getElementById('optimizeButton').disabled = previewing;
+    document.getElementById('acceptPlacementButton').disabled = !previewing;
+    document.getElementById('rejectPlacementButton').disabled = !previewing;
+}
+
+function acceptPlacement() {
+    if (!placementPreview) return;
+    commitHistory(placementPreview.before);
+    placementPreview = null;
+    document.getElementById('optimizerStatus').textContent = 'Arrangement accepted.';
+    setPreviewButtons(false);
+    updateOptimizerItems();
+}
+
+// Items are put back one by one, so nothing else changed during the preview is lost.
+function rejectPlacement() {
+    if (!placementPreview) return;
+    for (let move of placementPreview.moves) {
+        const index = barge.items.findIndex(item => item.id === move.id);
+        if (index >= 0) {
+            barge.moveItem(index, move.from.x, move.from.z);
+        }
+    }
+    placementPreview = null;
+    document.getElementById('optimizerStatus').textContent = 'Arrangement rejected.';
+    document.getElementById('optimizerMoves').innerHTML = '';
+    document.getElementById('optimizerAfter').textContent = '-';
+    setPreviewButtons(false);
+    updateOptimizerItems();
+}
+
+// ========================================
+// LOAD STAGES
+// The timeline runs from 0 at the first stage to one less than the number of stages at the
+// last; in between, the barge is partway from one stage to the next. Moving along it changes
+// the items on the barge, so each scrub or run of playback is one undoable edit.
+// ========================================
+function showStagePanel() {
+    document.getElementById('analysisContent').classList.remove('active');
+    document.getElementById('stagePanel').classList.add('visible');
+    renderStageTable();
+}
+
+function hideStagePanel() {
+    stopStagePlayback();
+    document.getElementById('stagePanel').classList.remove('visible');
+}
+
+// Stage results depend on everything but the items on the barge now, so they are only
+// solved again when something else changes.
+function getStageResults() {
+    const signature = JSON.stringify({ ...barge.toJSON(), items: [] });
+    if (signature !== stageResultsSignature) {
+        stageResultsSignature = signature;
+        stageResults = barge.solveStages();
+    }
+    return stageResults;
+}
+
+// Draft, heel, trim and result of each stage, formatted for the table, report and CSV export.
+function describeStages() {
+    const results = barge.layoutIssues.length > 0 ? null : getStageResults();
+    const degrees = (radians) => (radians * 180 / Math.PI).toFixed(2);
+    return barge.stages.map((stage, i) => {
+        const result = results && results[i];
+        const row = { name: stage.name, draft: '-', heel: '-', trim: '-', passed: false, failed: '' };
+        if (!result) return { ...row, result: 'Invalid layout' };
+        if (result.status !== 'converged') return { ...row, result: result.status === 'sinking' ? 'Sinking' : 'Not found' };
+        return {
+            ...row,
+            draft: formatValue(result.draft, 'length'),
+            heel: degrees(result.tiltX),
+            trim: degrees(result.tiltZ),
+            result: result.passed ? 'Pass' : 'Fail',
+            passed: result.passed,
+            failed: result.criteria.filter(criterion => !criterion.passed).map(criterion => criterion.label).join(', ')
+        };
+    });
+}
+
+function renderStageTable() {
+    const body = document.getElementById('stageRows');
+    body.innerHTML = '';
+    barge.stages.forEach((stage, index) => {
+        const row = document.createElement('tr');
+        row.dataset.index = index;
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td><input type="text" class="property-input stage-name"></td>
+            <td class="stage-draft">-</td>
+            <td class="stage-heel">-</td>
+            <td class="stage-trim">-</td>
+            <td class="stage-result">-</td>
+            <td>
+                <button class="stage-go" title="Load this stage onto the barge">Go</button>
+                <button class="stage-save" title="Replace this stage with the items as they are now">Save</button>
+            </td>
+            <td><span class="panel-close stage-remove" title="Remove">×</span></td>`;
+        row.querySelector('.stage-name').value = stage.name;
+        body.appendChild(row);
+    });
+
+    const timeline = document.getElementById('stageTimeline');
+    stagePosition = Math.max(0, Math.min(barge.stages.length - 1, stagePosition));
+    timeline.max = Math.max(0, barge.stages.length - 1);
+    timeline.step = STAGE_TIMELINE_STEP;
+    timeline.value = stagePosition;
+    const single = barge.stages.length < 2;
+    for (let id of ['stageTimeline', 'stagePrevButton', 'stagePlayButton', 'stageNextButton']) {
+        document.getElementById(id).disabled = single;
+    }
+    document.getElementById('exportStagesButton').disabled = barge.stages.length === 0;
+    updateStagePlayButton();
+    updateStageResults();
+}
+
+function updateStageResults() {
+    stageLastUpdate = performance.now();
+    const rows = document.getElementById('stageRows').rows;
+    describeStages().forEach((stage, i) => {
+        const row = rows[i];
+        if (!row) return;
+        row.querySelector('.stage-draft').textContent = stage.draft;
+        row.querySelector('.stage-heel').textContent = stage.heel === '-' ? '-' : stage.heel + '°';
+        row.querySelector('.stage-trim').textContent = stage.trim === '-' ? '-' : stage.trim + '°';
+        row.querySelector('.stage-result').textContent = stage.result;
+        row.querySelector('.stage-result').title = stage.failed ? `Failed: ${stage.failed}` : '';
+        row.classList.toggle('failed', !stage.passed);
+    });
+    updateStageStatus();
+}
+
+function updateStageStatus() {
+    const stages = barge.stages;
+    let status = 'No stages. Arrange the items for the first step of the job and add a stage.';
+    if (stages.length > 0) {
+        const index = Math.floor(stagePosition);
+        status = stagePosition === index
+            ? `Stage ${index + 1} of ${stages.length}: ${stages[index].name}`
+            : `Between ${stages[index].name} and ${stages[index + 1].name}`;
+    }
+    document.getElementById('stageStatus').textContent = status;
+}
+
+// Puts the items for a point on the timeline on the barge. Selected items that are not on
+// the deck at that point are deselected.
+function showStageAt(position) {
+    const stages = barge.stages;
+    if (stages.length === 0) return;
+    stagePosition = Math.max(0, Math.min(stages.length - 1, position));
+    const index = Math.min(Math.floor(stagePosition), stages.length - 1);
+    const next = Math.min(index + 1, stages.length - 1);
+    barge.setItems(interpolateStageItems(stages[index], stages[next], stagePosition - index));
+
+    document.getElementById('stageTimeline').value = stagePosition;
+    const kept = selection.filter(object => barge.items.includes(object) || barge.floats.includes(object));
+    if (kept.length !== selection.length) {
+        setSelection(kept);
+    }
+    updateStageStatus();
+}
+
+function beginStageMotion() {
+    if (stageHistoryBefore === null) {
+        stageHistoryBefore = captureState();
+    }
+}
+
+function endStageMotion() {
+    if (stageHistoryBefore === null) return;
+    commitHistory(stageHistoryBefore);
+    stageHistoryBefore = null;
+    showItemProperties();
+}
+
+function scrubStages() {
+    if (stagePlaybackTarget !== null) {
+        stagePlaybackTarget = null;
+        updateStagePlayButton();
+    }
+    beginStageMotion();
+    showStageAt(parseFloat(document.getElementById('stageTimeline').value));
+}
+
+function playStagesTo(target) {
+    if (barge.stages.length < 2) return;
+    beginStageMotion();
+    stagePlaybackTarget = Math.max(0, Math.min(barge.stages.length - 1, target));
+    updateStagePlayButton();
+}
+
+// Plays on to the last stage, from the first if already there.
+function toggleStagePlayback() {
+    if (stagePlaybackTarget !== null) {
+        stopStagePlayback();
+        return;
+    }
+    if (stagePosition >= barge.stages.length - 1) {
+        beginStageMotion();
+        showStageAt(0);
+    }
+    playStagesTo(barge.stages.length - 1);
+}
+
+function stepStage(direction) {
+    const target = direction > 0
+        ? Math.floor(stagePosition + STAGE_TIMELINE_STEP / 2) + 1
+        : Math.ceil(stagePosition - STAGE_TIMELINE_STEP / 2) - 1;
+    playStagesTo(target);
+}
+
+function advanceStagePlayback(seconds) {
+    const step = seconds / STAGE_TRANSITION_SECONDS;
+    const target = stagePlaybackTarget;
+    showStageAt(stagePosition < target ? Math.min(target, stagePosition + step) : Math.max(target, stagePosition - step));
+    if (stagePosition === target) {
+        stopStagePlayback();
+    }
+}
+
+function stopStagePlayback() {
+    stagePlaybackTarget = null;
+    endStageMotion();
+    updateStagePlayButton();
+}
+
+function updateStagePlayButton() {
+    document.getElementById('stagePlayButton').textContent = stagePlaybackTarget !== null ? 'Pause' : 'Play';
+}
+
+function editStages(edit) {
+    stopStagePlayback();
+    const before = captureState();
+    edit();
+    renderStageTable();
+    commitHistory(before);
+}
+
+function addStage() {
+    editStages(() => {
+        barge.addStage();
+        stagePosition = barge.stages.length - 1;
+    });
+}
+
+function goToStage(index) {
+    if (!barge.stages[index]) return;
+    editStages(() => showStageAt(index));
+    showItemProperties();
+}
+
+function saveStage(index) {
+    if (!barge.stages[index]) return;
+    editStages(() => {
+        barge.stages[index].items = barge.getItemData();
+    });
+}
+
+function removeStage(index) {
+    if (!barge.stages[index]) return;
+    editStages(() => {
+        barge.stages.splice(index, 1);
+        if (stagePosition > index) {
+            stagePosition = Math.max(0, stagePosition - 1);
+        }
+    });
+}
+
+function renameStage(index, name) {
+    if (!barge.stages[index]) return;
+    editStages(() => {
+        if (name.trim()) barge.stages[index].name = name.trim();
+    });
+}
+
+function exportStages() {
+    const header = ['Stage', 'Name', `Draft (${unitLabel('length')})`, 'Heel (°)', 'Trim (°)', 'Result', 'Failed Criteria'];
+    const rows = describeStages().map((stage, i) =>
+        [i + 1, stage.name, stage.draft, stage.heel, stage.trim, stage.result, stage.failed]);
+    downloadFile('barge-stages.csv', formatCSV([header, ...rows]), 'text/csv');
+}
+
+// ========================================
+// WAVES
+// The water mesh follows the wave surface, and the barge's heel, trim and freeboard are kept
+// for the last wave period so the properties panel can show how far it moves and whether the
+// deck gets wet.
+// ========================================
+// The sea state and the barge's response over a whole period, for the report.
+function describeWaveResponse() {
+    const wave = barge.wave;
+    if (wave.height <= 0) return 'Still water';
+
+    const lengthUnit = unitLabel('length');
+    const degrees = (radians) => (radians * 180 / Math.PI).toFixed(2) + '°';
+    const sea = `${formatValue(wave.height, 'length')} ${lengthUnit}, ${wave.period.toFixed(1)} s toward ${wave.heading.toFixed(0)}°, ` +
+        `${formatValue(waveLength(wave.period), 'length', 0)} ${lengthUnit} long`;
+    if (barge.layoutIssues.length > 0) return sea;
+
+    const response = calculateWaveResponse(barge.getDescription(true), wave);
+    if (!response.floating) return `${sea}; no equilibrium on part of the wave`;
+    return `${sea}; heel ${degrees(response.heel.min)} to ${degrees(response.heel.max)}, ` +
+        `trim ${degrees(response.trim.min)} to ${degrees(response.trim.max)}, ` +
+        `min freeboard ${formatValue(response.minFreeboard, 'length')} ${lengthUnit}${response.minFreeboard < 0 ? ' (deck wet)' : ''}`;
+}
+
+function updateWaterSurface() {
+    if (barge.wave.height <= 0 && waterIsFlat) return;
+
+    // The plane is laid flat by a -90° turn about X, so its local (x, y, z) is world (x, -z, y)
+    const wave = { ...barge.wave, time: barge.waveTime };
+    const positions = water.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        positions.setZ(i, waveElevation(wave, positions.getX(i), -positions.getY(i)));
+    }
+    positions.needsUpdate = true;
+    water.geometry.computeVertexNormals();
+    waterIsFlat = barge.wave.height <= 0;
+}
+
+function recordWaveResponse() {
+    if (barge.wave.height <= 0 || getEquilibriumStatus() !== 'Converged') {
+        waveHistory = [];
+        return;
+    }
+    waveHistory.push({ time: barge.waveTime, heel: barge.tiltX, trim: barge.tiltZ, freeboard: barge.freeboard });
+    while (waveHistory.length > 0 && waveHistory[0].time < barge.waveTime - barge.wave.period) {
+        waveHistory.shift();
+    }
+}
+
+function updateWaveProperties() {
+    const degrees = (radians) => (radians * 180 / Math.PI).toFixed(2);
+    const range = (key) => {
+        const values = waveHistory.map(point => point[key]);
+        return `${degrees(Math.min(...values))} to ${degrees(Math.max(...values))}`;
+    };
+    const hasHistory = waveHistory.length > 0;
+    const freeboard = hasHistory ? Math.min(...waveHistory.map(point => point.freeboard)) : null;
+
+    document.getElementById('bargeWaveHeel').textContent = hasHistory ? range('heel') : '-';
+    document.getElementById('bargeWaveTrim').textContent = hasHistory ? range('trim') : '-';
+    document.getElementById('bargeWaveFreeboard').textContent = hasHistory ? formatValue(freeboard, 'length') : '-';
+    const minFreeboard = barge.getMinFreeboard();
+    document.getElementById('bargeWaveFreeboardRow').classList.toggle('failed', hasHistory && minFreeboard !== null && freeboard < minFreeboard);
+    document.getElementById('bargeWaveFreeboardRow').title = hasHistory && freeboard < 0 ? 'The deck gets wet' : '';
+}
+
+// ========================================
+// SEABED
+// The seabed mesh lies under the water, and the barge panel shows how far the lowest float
+// bottom corner is above it and, once the barge is aground, which floats rest on it and how
+// much of the weight it carries.
+// ========================================
+function describeSeabed() {
+    const seabed = barge.seabed;
+    if (seabed.type === 'none') return 'Deep water';
+
+    const lengthUnit = unitLabel('length');
+    const bottom = seabed.type === 'ramp'
+        ? `Ramp ${formatValue(seabed.depth, 'length')} ${lengthUnit} deep at the origin, rising ${seabed.slope.toFixed(1)}° toward ${seabed.heading.toFixed(0)}°`
+        : `Flat, ${formatValue(seabed.depth, 'length')} ${lengthUnit} deep`;
+    if (getEquilibriumStatus() !== 'Converged') return bottom;
+    if (barge.groundReaction > 0) {
+        return `${bottom}; grounded on ${barge.getGroundedFloats().map(float => 'Float ' + float.id).join(', ')}, ` +
+            `seabed reaction ${formatValue(barge.groundReaction, 'displacement')} ${unitLabel('displacement')}`;
+    }
+    return `${bottom}; under-keel clearance ${formatValue(barge.keelClearance, 'length')} ${lengthUnit}`;
+}
+
+// The seabed is flat or a plane, so its four corners place it.
+function updateSeabedSurface() {
+    seabedMesh.visible = barge.seabed.type !== 'none';
+    if (!seabedMesh.visible) return;
+
+    // Laid flat like the water mesh: local (x, y, z) is world (x, -z, y)
+    const positions = seabedMesh.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        positions.setZ(i, seabedElevation(barge.seabed, positions.getX(i), -positions.getY(i)));
+    }
+    positions.needsUpdate = true;
+    seabedMesh.geometry.computeVertexNormals();
+}
+
+function updateSeabedProperties() {
+    const hasClearance = barge.seabed.type !== 'none' && getEquilibriumStatus() === 'Converged';
+    const isGrounded = hasClearance && barge.groundReaction > 0;
+
+    document.getElementById('bargeKeelClearance').textContent = hasClearance ? formatValue(barge.keelClearance, 'length') : '-';
+    document.getElementById('bargeKeelClearanceRow').classList.toggle('failed', isGrounded);
+    document.getElementById('bargeGroundReaction').textContent = hasClearance ? formatValue(barge.groundReaction, 'displacement') : '-';
+
+    const warning = document.getElementById('groundingWarning');
+    const grounded = isGrounded ? barge.getGroundedFloats() : [];
+    const warningText = isGrounded
+        ? `Grounded: ${grounded.map(float => 'Float ' + float.id).join(', ')} ${grounded.length === 1 ? 'rests' : 'rest'} on the seabed`
+        : '';
+    if (warning.textContent !== warningText) {
+        warning.textContent = warningText;
+    }
+    warning.classList.toggle('visible', isGrounded);
+}
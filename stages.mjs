@@ -0,0 +1,103 @@
+import { Hydrostatics } from './hydrostatics.mjs';
+import { projectToHydrostatics } from './project.mjs';
+import { measureCriteria, evaluateCriteria } from './criteria.mjs';
+
+// ========================================
+// LOAD STAGES
+// A job done in steps (load A goes on, the crane slews, load B comes off) is a sequence of
+// named stages, each holding every item on the deck at that step in project file form.
+// Between two stages an item on both moves, slews and changes weight linearly; an item on only
+// one of them is lifted on or off, its weight ramping between zero and its own, so the barge
+// passes smoothly from one stage to the next. Units are ft, lbs and degrees, as in project files.
+// ========================================
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// The shorter way round from one slew angle to the other.
+function lerpAngle(a, b, t) {
+    return a + ((((b - a) % 360) + 540) % 360 - 180) * t;
+}
+
+function copyItem(data, weightScale = 1) {
+    return {
+        ...data,
+        weight: data.weight * weightScale,
+        cg: { ...data.cg },
+        position: { ...data.position },
+        ...(data.crane ? { crane: { ...data.crane, hookLoad: data.crane.hookLoad * weightScale } } : {})
+    };
+}
+
+export function copyStage(stage) {
+    return { name: stage.name, items: stage.items.map(data => copyItem(data)) };
+}
+
+// The items partway from one stage to the next, t from 0 (at from) to 1 (at to). Items keep
+// the next stage's order, and items coming off follow them. An item that changes between a
+// crane and a plain item is treated as one coming off and another going on.
+export function interpolateStageItems(from, to, t) {
+    if (t <= 0) return from.items.map(data => copyItem(data));
+    if (t >= 1) return to.items.map(data => copyItem(data));
+
+    const matching = (data, stage) => stage.items.find(other => other.id === data.id && !other.crane === !data.crane);
+    const items = to.items.map(data => {
+        const start = matching(data, from);
+        if (!start) return copyItem(data, t);
+        return {
+            ...copyItem(data),
+            weight: lerp(start.weight, data.weight, t),
+            position: {
+                x: lerp(start.position.x, data.position.x, t),
+                y: lerp(start.position.y, data.position.y, t),
+                z: lerp(start.position.z, data.position.z, t)
+            },
+            ...(data.crane ? {
+                crane: {
+                    radius: lerp(start.crane.radius, data.crane.radius, t),
+                    slew: lerpAngle(start.crane.slew, data.crane.slew, t),
+                    boomHeight: lerp(start.crane.boomHeight, data.crane.boomHeight, t),
+                    hookLoad: lerp(start.crane.hookLoad, data.crane.hookLoad, t)
+                }
+            } : {})
+        };
+    });
+    for (let data of from.items) {
+        if (!matching(data, to)) {
+            items.push(copyItem(data, 1 - t));
+        }
+    }
+    return items;
+}
+
+// Equilibrium and stability criteria at each of a validated project's stages, with the
+// floats, tanks, wind and criteria as the project has them. status is 'converged', 'sinking'
+// or 'not found', as in the command line runner; passed needs a converged equilibrium.
+export function solveStages(project) {
+    let guess = { tiltX: 0, tiltZ: 0, draft: 0 };
+    return project.stages.map(stage => {
+        const hydrostatics = new Hydrostatics(projectToHydrostatics({ ...project, items: stage.items }));
+        const equilibrium = hydrostatics.solveEquilibrium(guess);
+
+        let status = 'converged';
+        if (equilibrium.isSinking) {
+            status = 'sinking';
+        } else if (!equilibrium.converged) {
+            status = 'not found';
+        } else {
+            guess = equilibrium;
+        }
+
+        const criteria = evaluateCriteria(project.criteria, measureCriteria(hydrostatics, equilibrium));
+        return {
+            name: stage.name,
+            status,
+            weight: hydrostatics.weight,
+            draft: equilibrium.draft,
+            tiltX: equilibrium.tiltX,
+            tiltZ: equilibrium.tiltZ,
+            criteria,
+            passed: status === 'converged' && criteria.every(result => result.passed)
+        };
+    });
+}
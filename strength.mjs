@@ -0,0 +1,133 @@
+import { SUBMERGED_CELLS, intactFraction, calculateTankContents } from './hydrostatics.mjs';
+
+// ========================================
+// LONGITUDINAL STRENGTH
+// Shear force and bending moment along the barge length (X) at a solved equilibrium, treating
+// the assembled barge as one beam. Each float's weight is spread evenly over its length and
+// each tank's contents over the tank's length; item and hook loads act at their CG. Buoyancy
+// is integrated over each float in slices along X, less any push from the seabed. Gravity is taken along the barge's own Y;
+// the small moment that this, wind and free surface corrections leave at the far end is spread
+// linearly along the length so both curves close at zero.
+// The shear at x is the net downward load (weight less buoyancy) on everything at lower X, and
+// the bending moment is that load's moment about x, positive when hogging.
+// Units are ft, lbs and lb·ft, as in hydrostatics.mjs.
+// ========================================
+export const STRENGTH_STATIONS = 100;
+export const JOINT_TOLERANCE = 1e-3;
+
+// Net downward load on the part of a segment below x and the moment of that load about x.
+// A segment with start === end is a point load.
+function loadBelow(segment, x) {
+    if (segment.end <= segment.start) {
+        return segment.start < x ? { force: segment.force, moment: segment.force * (x - segment.start) } : { force: 0, moment: 0 };
+    }
+    const covered = Math.max(0, Math.min(x, segment.end) - segment.start);
+    const force = segment.force * covered / (segment.end - segment.start);
+    return { force, moment: force * (x - segment.start - covered / 2) };
+}
+
+// Where floats butt end to end along X: the aft float's +X face against the fore float's -X
+// face, sharing a width across Z. Floats are given by their index in hydrostatics.floats.
+export function findJoints(floats) {
+    const joints = [];
+    floats.forEach((aft, i) => {
+        const x = aft.position.x + aft.length / 2;
+        floats.forEach((fore, j) => {
+            if (Math.abs(fore.position.x - fore.length / 2 - x) > JOINT_TOLERANCE) return;
+            const width = Math.min(aft.position.z + aft.width / 2, fore.position.z + fore.width / 2) -
+                Math.max(aft.position.z - aft.width / 2, fore.position.z - fore.width / 2);
+            if (width > JOINT_TOLERANCE) {
+                joints.push({ x, aft: i, fore: j, width });
+            }
+        });
+    });
+    return joints;
+}
+
+// equilibrium is { draft, tiltX, tiltZ } as returned by Hydrostatics.solveEquilibrium().
+// Returns the curves at evenly spaced stations, the largest shear and moment on them, and the
+// share of the section's shear and moment carried by each joint, in proportion to its width
+// among all the joints at the same X.
+export function calculateLongitudinalStrength(hydrostatics, equilibrium) {
+    const waterline = hydrostatics.getWaterline(equilibrium.draft, equilibrium.tiltX, equilibrium.tiltZ);
+    const segments = [];
+
+    for (let float of hydrostatics.floats) {
+        const start = float.position.x - float.length / 2;
+        segments.push({ start, end: start + float.length, force: float.weight });
+
+        const slice = float.length / SUBMERGED_CELLS;
+        const buoyancy = hydrostatics.waterDensity * intactFraction(float);
+        for (let i = 0; i < SUBMERGED_CELLS; i++) {
+            const submerged = hydrostatics.calculateSubmerged({
+                ...float,
+                length: slice,
+                position: { ...float.position, x: start + (i + 0.5) * slice }
+            }, waterline);
+            segments.push({ start: start + i * slice, end: start + (i + 1) * slice, force: -submerged.volume * buoyancy - submerged.ground.force });
+        }
+    }
+    for (let tank of hydrostatics.tanks) {
+        const start = tank.position.x - tank.length / 2;
+        segments.push({ start, end: start + tank.length, force: calculateTankContents(tank).weight });
+    }
+    for (let load of hydrostatics.loads) {
+        segments.push({ start: load.position.x, end: load.position.x, force: load.weight });
+    }
+
+    const integrate = (x) => {
+        let shear = 0;
+        let moment = 0;
+        for (let segment of segments) {
+            const below = loadBelow(segment, x);
+            shear += below.force;
+            moment += below.moment;
+        }
+        return { shear, moment };
+    };
+
+    const extents = hydrostatics.getExtents();
+    const closing = integrate(extents.maxX);
+    const sectionAt = (x) => {
+        const share = (x - extents.minX) / (extents.maxX - extents.minX);
+        const raw = integrate(x);
+        return { x, shear: raw.shear - closing.shear * share, moment: raw.moment - closing.moment * share };
+    };
+    const stations = [];
+    for (let i = 0; i <= STRENGTH_STATIONS; i++) {
+        stations.push(sectionAt(extents.minX + (extents.maxX - extents.minX) * i / STRENGTH_STATIONS));
+    }
+
+    const joints = findJoints(hydrostatics.floats);
+    for (let joint of joints) {
+        const section = sectionAt(joint.x);
+        const sectionWidth = joints
+            .filter(other => Math.abs(other.x - joint.x) <= JOINT_TOLERANCE)
+            .reduce((total, other) => total + other.width, 0);
+        joint.shear = section.shear * joint.width / sectionWidth;
+        joint.moment = section.moment * joint.width / sectionWidth;
+    }
+
+    const largest = (key) => stations.reduce((best, station) =>
+        Math.abs(station[key]) > Math.abs(best.value) ? { x: station.x, value: station[key] } : best, { x: extents.minX, value: 0 });
+    return { stations, joints, maxShear: largest('shear'), maxMoment: largest('moment') };
+}
+
+// Compares each joint with the connector capacities { shear, moment } of the floats either
+// side of it, given in the same order as the floats. A capacity of 0 has not been entered;
+// where both floats have one, the joint is as strong as the weaker. Utilization is the larger
+// of the shear and moment ratios, or null when neither capacity is known.
+export function checkJoints(joints, capacities) {
+    const capacityOf = (joint, key) => {
+        const values = [capacities[joint.aft][key], capacities[joint.fore][key]].filter(value => value > 0);
+        return values.length > 0 ? Math.min(...values) : 0;
+    };
+    return joints.map(joint => {
+        const capacity = { shear: capacityOf(joint, 'shear'), moment: capacityOf(joint, 'moment') };
+        const ratios = [];
+        if (capacity.shear > 0) ratios.push(Math.abs(joint.shear) / capacity.shear);
+        if (capacity.moment > 0) ratios.push(Math.abs(joint.moment) / capacity.moment);
+        const utilization = ratios.length > 0 ? Math.max(...ratios) : null;
+        return { ...joint, capacity, utilization, passed: utilization === null || utilization <= 1 };
+    });
+}
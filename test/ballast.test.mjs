@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hydrostatics } from '../hydrostatics.mjs';
+import { suggestBallast } from '../ballast.mjs';
+
+// ========================================
+// A 40 x 20 x 8 ft box float with a wing tank in each corner, 10 ft long, 5 ft wide and as
+// deep as the float, and a 20000 lb float weight.
+// ========================================
+const TANK_POSITIONS = [{ x: -15, z: -7.5 }, { x: 15, z: -7.5 }, { x: -15, z: 7.5 }, { x: 15, z: 7.5 }];
+
+function wingTankBarge(loads, fills = [0, 0, 0, 0]) {
+    return {
+        waterDensity: 62.4,
+        floats: [{ length: 40, width: 20, height: 8, weight: 20000, position: { x: 0, y: 4, z: 0 } }],
+        loads,
+        tanks: TANK_POSITIONS.map((position, i) => ({
+            length: 10, width: 5, height: 8, position: { x: position.x, y: 4, z: position.z }, fill: fills[i], density: 64
+        }))
+    };
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+test('wing tanks opposite an offset load float the barge level', () => {
+    const description = wingTankBarge([{ weight: 10000, position: { x: 5, y: 8, z: 4 } }]);
+    const suggestion = suggestBallast(description);
+
+    assert.equal(suggestion.converged, true);
+    assert.equal(suggestion.rejected, null);
+    assert.ok(suggestion.fills[0] > 0 && suggestion.fills[1] > 0, 'fills the tanks on the -Z side');
+    assert.equal(suggestion.fills[2], 0);
+    assert.equal(suggestion.fills[3], 0);
+    assert.ok(Math.abs(toDegrees(suggestion.result.tiltX)) < 1e-3);
+    assert.ok(Math.abs(toDegrees(suggestion.result.tiltZ)) < 1e-3);
+});
+
+test('the returned equilibrium is the barge with the suggested fills', () => {
+    const description = wingTankBarge([{ weight: 10000, position: { x: 5, y: 8, z: 4 } }]);
+    const suggestion = suggestBallast(description);
+    const ballasted = new Hydrostatics({
+        ...description,
+        tanks: description.tanks.map((tank, i) => ({ ...tank, fill: suggestion.fills[i] }))
+    });
+
+    assert.ok(Math.abs(suggestion.result.displacement - ballasted.weight) < ballasted.weight * 1e-6);
+});
+
+test('a barge that already floats level keeps its fills', () => {
+    const fills = [0.25, 0.25, 0.25, 0.25];
+    const suggestion = suggestBallast(wingTankBarge([{ weight: 10000, position: { x: 0, y: 8, z: 0 } }], fills));
+
+    assert.equal(suggestion.converged, true);
+    assert.equal(suggestion.rejected, null);
+    assert.deepEqual(suggestion.fills, fills);
+});
+
+test('fills that would leave the barge listing further are rejected', () => {
+    // A centerline tank cannot move G sideways; filling it to balance G over B only raises G
+    // and the barge lists further toward the load.
+    const description = {
+        waterDensity: 62.4,
+        floats: [-20, 0, 20].map(x => ({ length: 20, width: 10, height: 7, weight: 20000, position: { x, y: 1.5, z: 0 } })),
+        loads: [{ weight: 2500, position: { x: 0, y: 6, z: 4 } }],
+        tanks: [{ length: 20, width: 10, height: 7, position: { x: 0, y: 1.5, z: 0 }, fill: 0, density: 64 }]
+    };
+    const current = new Hydrostatics(description).solveEquilibrium();
+    const suggestion = suggestBallast(description);
+
+    assert.equal(suggestion.rejected, 'listing');
+    assert.equal(suggestion.converged, false);
+    assert.deepEqual(suggestion.fills, [0]);
+    assert.ok(Math.abs(suggestion.result.tiltX - current.tiltX) < 1e-6, 'reports the barge as it floats now');
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hydrostatics } from '../hydrostatics.mjs';
+import {
+    CRITERIA_METRICS, createCriteria, measureCriteria, evaluateCriteria, validateCriteria, getCriterionLimit
+} from '../criteria.mjs';
+
+// ========================================
+// A 40 x 20 x 8 ft box float at a 5 ft draft in fresh water. With 3 ft of freeboard the deck
+// edge goes under before the bilge comes out, so its sides stay wall-sided and the deck edge
+// meets the water at tan θ = 2 × freeboard / beam.
+// ========================================
+const WATER = 62.4;
+const LENGTH = 40;
+const WIDTH = 20;
+const HEIGHT = 8;
+const DRAFT = 5;
+
+function boxBarge() {
+    return new Hydrostatics({
+        waterDensity: WATER,
+        floats: [{ length: LENGTH, width: WIDTH, height: HEIGHT, weight: LENGTH * WIDTH * DRAFT * WATER, position: { x: 0, y: HEIGHT / 2, z: 0 } }],
+        loads: []
+    });
+}
+
+function rules(...list) {
+    return { preset: 'custom', rules: list.map(([metric, limit, enabled = true]) => ({ metric, limit, enabled })) };
+}
+
+test('the box barge is measured at its closed-form values', () => {
+    const hydrostatics = boxBarge();
+    const values = measureCriteria(hydrostatics, hydrostatics.solveEquilibrium());
+
+    assert.deepEqual(Object.keys(values), Object.keys(CRITERIA_METRICS));
+    assert.ok(Math.abs(values.GMt - (DRAFT / 2 + WIDTH ** 2 / (12 * DRAFT) - HEIGHT / 2)) < 1e-9);
+    assert.ok(Math.abs(values.GMl - (DRAFT / 2 + LENGTH ** 2 / (12 * DRAFT) - HEIGHT / 2)) < 1e-9);
+    assert.ok(values.heel < 1e-6);
+    assert.ok(values.trim < 1e-6);
+    assert.ok(Math.abs(values.freeboard - (HEIGHT - DRAFT)) < 1e-6);
+    const deckEdgeAngle = Math.atan(2 * (HEIGHT - DRAFT) / WIDTH) * 180 / Math.PI;
+    assert.ok(Math.abs(values.deckEdgeMargin - deckEdgeAngle) < 0.01, `${values.deckEdgeMargin}° against ${deckEdgeAngle}°`);
+});
+
+test('without a floating equilibrium every value is null and every rule fails', () => {
+    const equilibrium = { tiltX: 0, tiltZ: 0, draft: HEIGHT, converged: true, isSinking: true };
+    const values = measureCriteria(boxBarge(), equilibrium);
+    assert.ok(Object.values(values).every(value => value === null));
+
+    const results = evaluateCriteria(createCriteria(), values);
+    assert.equal(results.length, createCriteria().rules.length);
+    for (let result of results) {
+        assert.equal(result.value, null);
+        assert.equal(result.margin, null);
+        assert.equal(result.passed, false);
+    }
+});
+
+test('a minimum passes by how far the value is above it and fails by how far below', () => {
+    const [passing, failing] = evaluateCriteria(rules(['GMt', 1.5], ['freeboard', 2]), { GMt: 2, freeboard: 1.25 });
+
+    assert.equal(passing.margin, 0.5);
+    assert.equal(passing.passed, true);
+    assert.equal(failing.margin, -0.75);
+    assert.equal(failing.passed, false);
+});
+
+test('a maximum passes by how far the value is below it and fails by how far above', () => {
+    const [passing, failing] = evaluateCriteria(rules(['heel', 5], ['trim', 2]), { heel: 3, trim: 2.5 });
+
+    assert.equal(passing.margin, 2);
+    assert.equal(passing.passed, true);
+    assert.equal(failing.margin, -0.5);
+    assert.equal(failing.passed, false);
+});
+
+test('a value exactly at its limit passes, and disabled rules are left out', () => {
+    const results = evaluateCriteria(rules(['heel', 5], ['trim', 0, false]), { heel: 5, trim: 9 });
+
+    assert.equal(results.length, 1);
+    assert.equal(results[0].label, 'Heel');
+    assert.equal(results[0].margin, 0);
+    assert.equal(results[0].passed, true);
+});
+
+test('the limit on a metric is the strictest enabled rule on it', () => {
+    assert.equal(getCriterionLimit(rules(['freeboard', 1], ['freeboard', 2], ['freeboard', 3, false]), 'freeboard'), 2);
+    assert.equal(getCriterionLimit(rules(['heel', 5], ['heel', 3]), 'heel'), 3);
+    assert.equal(getCriterionLimit(rules(['freeboard', 1, false]), 'freeboard'), null);
+});
+
+test('every preset is valid', () => {
+    for (let preset of ['harbour', 'sheltered', 'openWater']) {
+        assert.deepEqual(validateCriteria(createCriteria(preset), 'criteria'), []);
+    }
+});
+
+test('malformed criteria are reported by path', () => {
+    assert.deepEqual(validateCriteria([], 'criteria'), ['criteria must be an object with preset and rules']);
+    assert.deepEqual(validateCriteria({ preset: 'ocean', rules: null }, 'criteria'), [
+        'criteria.preset must be one of harbour, sheltered, openWater, custom',
+        'criteria.rules must be a list'
+    ]);
+    assert.deepEqual(validateCriteria({
+        preset: 'custom',
+        rules: [null, { metric: 'deckEdgeImmersion', limit: '0', enabled: 1 }]
+    }, 'criteria'), [
+        'criteria.rules[0] must be an object',
+        `criteria.rules[1].metric must be one of ${Object.keys(CRITERIA_METRICS).join(', ')}`,
+        'criteria.rules[1].limit must be a number',
+        'criteria.rules[1].enabled must be true or false'
+    ]);
+});
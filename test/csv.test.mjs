@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, formatCSV, getHeaderUnit, guessColumnMapping, mapCSVRows } from '../csv.mjs';
+
+test('comma separated rows are split into headers and cells', () => {
+    const table = parseCSV('Name, Weight ,X,Z\r\nCrate,1000,2,-1\r\nDrum,500,0,3\r\n');
+
+    assert.deepEqual(table.headers, ['Name', 'Weight', 'X', 'Z']);
+    assert.deepEqual(table.rows, [
+        { line: 2, cells: ['Crate', '1000', '2', '-1'] },
+        { line: 3, cells: ['Drum', '500', '0', '3'] }
+    ]);
+});
+
+test('quoted cells keep delimiters, doubled quotes and line breaks', () => {
+    const table = parseCSV('Name,Weight\n"Pump, spare",100\n"12"" pipe",200\n"Tool\nbox",300\nLast,400');
+
+    assert.deepEqual(table.rows.map(row => row.cells[0]), ['Pump, spare', '12" pipe', 'Tool\nbox', 'Last']);
+    assert.deepEqual(table.rows.map(row => row.line), [2, 3, 4, 6], 'a record is numbered by the line it starts on');
+});
+
+test('the delimiter is whichever of comma, semicolon or tab the header uses most', () => {
+    assert.deepEqual(parseCSV('Name;Weight;X\nCrate;1,5;2\n').rows[0].cells, ['Crate', '1,5', '2']);
+    assert.deepEqual(parseCSV('Name\tWeight\tX\nCrate, large\t1000\t2\n').rows[0].cells, ['Crate, large', '1000', '2']);
+});
+
+test('a byte order mark and blank lines are skipped', () => {
+    const table = parseCSV('\uFEFFName,Weight\n\nCrate,1000\n , \n');
+
+    assert.deepEqual(table.headers, ['Name', 'Weight']);
+    assert.deepEqual(table.rows, [{ line: 3, cells: ['Crate', '1000'] }]);
+    assert.deepEqual(parseCSV('\n\n'), { headers: [], rows: [] });
+});
+
+test('formatted rows parse back to the same cells', () => {
+    const rows = [['Name', 'Weight'], ['Pump, spare', 100], ['12" pipe', 200], ['Tool\nbox', 300]];
+    const table = parseCSV(formatCSV(rows));
+
+    assert.deepEqual([table.headers, ...table.rows.map(row => row.cells)], rows.map(row => row.map(String)));
+});
+
+test('the unit is read from round or square brackets in a header', () => {
+    assert.equal(getHeaderUnit('Weight (kg)'), 'kg');
+    assert.equal(getHeaderUnit('X [ m ]'), 'm');
+    assert.equal(getHeaderUnit('CG Height (ft) [m]'), 'ft');
+    assert.equal(getHeaderUnit('Weight'), '');
+    assert.equal(getHeaderUnit(undefined), '');
+});
+
+test('columns are matched on name, label or alias with units ignored', () => {
+    const mapping = guessColumnMapping(['Description', 'Wt (kg)', 'Pos X [m]', 'position z', 'VCG', 'Colour'], 'items');
+
+    assert.equal(mapping.name, 0);
+    assert.equal(mapping.weight, 1);
+    assert.equal(mapping.x, 2);
+    assert.equal(mapping.z, 3);
+    assert.equal(mapping.cgHeight, 4);
+    assert.equal(mapping.color, 5);
+    assert.equal(mapping.length, -1);
+});
+
+test('rows are read through the mapping with every problem reported by line', () => {
+    const table = parseCSV('Name,Weight,X,Z,Length,Color\nCrate,1000,2,-1,,FF6347\nBad,-5,abc,,0,red\n');
+    const { records, errors } = mapCSVRows(table, guessColumnMapping(table.headers, 'items'), 'items');
+
+    assert.deepEqual(records, [{ line: 2, values: { name: 'Crate', weight: 1000, x: 2, z: -1, color: '#ff6347' } }]);
+    assert.deepEqual(errors, [
+        'Row 3: Weight cannot be negative; Length must be greater than zero; X "abc" is not a number; Z is missing; ' +
+            'Color "red" is not a hex color like #ff6347'
+    ]);
+});
+
+test('required fields must be mapped before any row is read', () => {
+    const table = parseCSV('Name,Weight\nCrate,1000\n');
+    const { records, errors } = mapCSVRows(table, guessColumnMapping(table.headers, 'items'), 'items');
+
+    assert.deepEqual(records, []);
+    assert.deepEqual(errors, ['X must be mapped to a column', 'Z must be mapped to a column']);
+});
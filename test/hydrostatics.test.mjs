@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Hydrostatics } from '../hydrostatics.mjs';
+
+// ========================================
+// A single box float 40 ft long (X), 20 ft wide (Z) and 8 ft deep with its keel at Y = 0,
+// weighed down to a 2 ft draft in fresh water, checked against the textbook box barge:
+//     draft T = W / (ρ L B), KB = T / 2, BMt = B² / 12T, BMl = L² / 12T
+// and, as its sides are wall-sided, the heel θ that a weight shifted a distance d off the
+// centerline holds it at: tan θ (GM + BM tan² θ / 2) = w d / W.
+// Buoyancy is integrated in SUBMERGED_CELLS columns a side, which places B a little off the
+// exact centroid once heeled, so angles are held to 1% rather than to the solver tolerance.
+// ========================================
+const WATER = 62.4;
+const LENGTH = 40;
+const WIDTH = 20;
+const HEIGHT = 8;
+const DRAFT = 2;
+const DISPLACEMENT = LENGTH * WIDTH * DRAFT * WATER;
+const ANGLE_TOLERANCE = 0.01;
+
+// The float's own weight makes up whatever the loads leave of the displacement at DRAFT,
+// unless a total weight is given.
+function boxBarge(loads = [], weight = DISPLACEMENT, seabed = null) {
+    const loadWeight = loads.reduce((total, load) => total + load.weight, 0);
+    return new Hydrostatics({
+        waterDensity: WATER,
+        floats: [{ length: LENGTH, width: WIDTH, height: HEIGHT, weight: weight - loadWeight, position: { x: 0, y: HEIGHT / 2, z: 0 } }],
+        loads,
+        seabed
+    });
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+// Solves tan θ (GM + BM tan² θ / 2) = arm for θ by bisection.
+function wallSidedAngle(GM, BM, arm) {
+    let low = 0;
+    let high = Math.PI / 4;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        const tan = Math.tan(mid);
+        if (tan * (GM + BM * tan * tan / 2) < arm) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+test('box barge floats level at the draft that displaces its weight', () => {
+    const hydrostatics = boxBarge();
+    const equilibrium = hydrostatics.solveEquilibrium();
+
+    assert.equal(equilibrium.converged, true);
+    assert.equal(equilibrium.isSinking, false);
+    assert.ok(Math.abs(equilibrium.draft - DRAFT) < 1e-6);
+    assert.ok(Math.abs(equilibrium.tiltX) < 1e-6);
+    assert.ok(Math.abs(equilibrium.tiltZ) < 1e-6);
+    assert.ok(Math.abs(equilibrium.displacement - DISPLACEMENT) < DISPLACEMENT * 1e-6);
+});
+
+test('box barge metacentric heights match the closed-form values', () => {
+    const stability = boxBarge().calculateMetacentricHeight(DRAFT);
+
+    assert.ok(Math.abs(stability.KB - DRAFT / 2) < 1e-9);
+    assert.ok(Math.abs(stability.KG - HEIGHT / 2) < 1e-9);
+    assert.ok(Math.abs(stability.BMt - WIDTH ** 2 / (12 * DRAFT)) < 1e-9);
+    assert.ok(Math.abs(stability.BMl - LENGTH ** 2 / (12 * DRAFT)) < 1e-9);
+    assert.ok(Math.abs(stability.GMt - (DRAFT / 2 + WIDTH ** 2 / (12 * DRAFT) - HEIGHT / 2)) < 1e-9);
+    assert.ok(Math.abs(stability.GMl - (DRAFT / 2 + LENGTH ** 2 / (12 * DRAFT) - HEIGHT / 2)) < 1e-9);
+});
+
+test('a load off the centerline heels the box barge toward it by the wall-sided angle', () => {
+    const load = { weight: 20000, position: { x: 0, y: HEIGHT, z: 2 } };
+    const hydrostatics = boxBarge([load]);
+    const KG = ((DISPLACEMENT - load.weight) * HEIGHT / 2 + load.weight * HEIGHT) / DISPLACEMENT;
+    const BMt = WIDTH ** 2 / (12 * DRAFT);
+    const expected = wallSidedAngle(DRAFT / 2 + BMt - KG, BMt, load.weight * load.position.z / DISPLACEMENT);
+
+    const equilibrium = hydrostatics.solveEquilibrium();
+    assert.equal(equilibrium.converged, true);
+    assert.ok(equilibrium.tiltX < 0, 'heels so that +Z goes down');
+    assert.ok(Math.abs(-equilibrium.tiltX - expected) < expected * ANGLE_TOLERANCE,
+        `heel ${toDegrees(-equilibrium.tiltX)}° against ${toDegrees(expected)}°`);
+    assert.ok(Math.abs(equilibrium.tiltZ) < 1e-6);
+    assert.ok(Math.abs(equilibrium.draft - DRAFT) < 1e-4);
+});
+
+test('a load forward of center trims the box barge by the wall-sided angle', () => {
+    const load = { weight: 20000, position: { x: 10, y: HEIGHT, z: 0 } };
+    const hydrostatics = boxBarge([load]);
+    const KG = ((DISPLACEMENT - load.weight) * HEIGHT / 2 + load.weight * HEIGHT) / DISPLACEMENT;
+    const BMl = LENGTH ** 2 / (12 * DRAFT);
+    const expected = wallSidedAngle(DRAFT / 2 + BMl - KG, BMl, load.weight * load.position.x / DISPLACEMENT);
+
+    const equilibrium = hydrostatics.solveEquilibrium();
+    assert.equal(equilibrium.converged, true);
+    assert.ok(equilibrium.tiltZ > 0, 'trims so that +X goes down');
+    assert.ok(Math.abs(equilibrium.tiltZ - expected) < expected * ANGLE_TOLERANCE,
+        `trim ${toDegrees(equilibrium.tiltZ)}° against ${toDegrees(expected)}°`);
+    assert.ok(Math.abs(equilibrium.tiltX) < 1e-6);
+});
+
+test('a box barge heavier than its whole volume of water is sinking', () => {
+    const hydrostatics = boxBarge([], LENGTH * WIDTH * HEIGHT * WATER * 1.1);
+    const equilibrium = hydrostatics.solveEquilibrium();
+
+    assert.equal(equilibrium.isSinking, true);
+    assert.equal(equilibrium.draft, HEIGHT);
+});
+
+test('an overloaded box barge on a shallow seabed rests on it instead of sinking', () => {
+    const weight = LENGTH * WIDTH * HEIGHT * WATER * 1.1;
+    const hydrostatics = boxBarge([], weight, { type: 'flat', depth: 3, slope: 0, heading: 0 });
+    const equilibrium = hydrostatics.solveEquilibrium();
+
+    assert.equal(equilibrium.converged, true);
+    assert.equal(equilibrium.isSinking, false);
+    assert.ok(equilibrium.draft > 3 && equilibrium.draft < 3.1, 'sinks only slightly into the seabed');
+    assert.ok(equilibrium.groundReaction > 0);
+    assert.ok(Math.abs(equilibrium.displacement + equilibrium.groundReaction - weight) < weight * 1e-6);
+});
+
+test('an overloaded box barge over a seabed deeper than its depth still sinks', () => {
+    const hydrostatics = boxBarge([], LENGTH * WIDTH * HEIGHT * WATER * 1.1, { type: 'flat', depth: 20, slope: 0, heading: 0 });
+    assert.equal(hydrostatics.solveEquilibrium().isSinking, true);
+});
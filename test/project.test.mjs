@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCriteria } from '../criteria.mjs';
+import {
+    PROJECT_FORMAT, PROJECT_VERSION, DEFAULT_MIN_FREEBOARD, DEFAULT_WIND, DEFAULT_WAVE,
+    DEFAULT_SEABED, DEFAULT_PERMEABILITY, DEFAULT_CONNECTOR, parseProject
+} from '../project.mjs';
+
+// ========================================
+// A current project whose later fields all hold the values the migrations fill in, so
+// the same project saved by any older version opens to exactly this.
+// ========================================
+function currentProject() {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        waterDensity: 62.4,
+        wind: { ...DEFAULT_WIND },
+        wave: { ...DEFAULT_WAVE },
+        seabed: { ...DEFAULT_SEABED },
+        floats: [{
+            id: 1,
+            length: 20, width: 10, height: 7,
+            weight: 20000,
+            position: { x: 0, y: 1.82, z: 0 },
+            flooded: false,
+            permeability: DEFAULT_PERMEABILITY,
+            connector: { ...DEFAULT_CONNECTOR },
+            tanks: []
+        }],
+        items: [{
+            id: 1, name: 'Item 1',
+            length: 2, width: 2, height: 2,
+            weight: 1000,
+            color: '#ff6347',
+            cg: { offsetX: 0, height: 1, offsetZ: 0 },
+            position: { x: 0, y: 6.32, z: 0 },
+            locked: false
+        }],
+        stages: [],
+        criteria: createCriteria()
+    };
+}
+
+// The same project as the given version saved it: without the fields added since, and with
+// those dropped or changed since as they were.
+function savedBy(version) {
+    const project = { ...currentProject(), version };
+    if (version >= 3 && version < 14) project.minFreeboard = DEFAULT_MIN_FREEBOARD;
+    if (version < 13) {
+        project.criteria.rules = project.criteria.rules.map(rule => rule.metric === 'deckEdgeMargin'
+            ? { metric: 'deckEdgeImmersion', limit: 0, enabled: rule.enabled }
+            : rule);
+    }
+    if (version < 12) delete project.seabed;
+    if (version < 11) delete project.wave;
+    if (version < 10) delete project.stages;
+    if (version < 9) project.items = project.items.map(({ locked, ...item }) => item);
+    if (version < 8) project.floats = project.floats.map(({ connector, ...float }) => float);
+    if (version < 7) project.floats = project.floats.map(({ flooded, permeability, ...float }) => float);
+    if (version < 6) project.floats = project.floats.map(({ tanks, ...float }) => float);
+    if (version < 5) delete project.wind;
+    if (version < 2) delete project.criteria;
+    return project;
+}
+
+for (let version = 1; version <= PROJECT_VERSION; version++) {
+    test(`a version ${version} project opens as the current version`, () => {
+        assert.deepEqual(parseProject(JSON.stringify(savedBy(version))), currentProject());
+    });
+}
+
+test('an edited deck-edge immersion limit opens as a margin of 0°', () => {
+    const project = savedBy(12);
+    project.criteria.preset = 'custom';
+
+    const criteria = parseProject(JSON.stringify(project)).criteria;
+    assert.deepEqual(criteria.rules.find(rule => rule.metric === 'deckEdgeMargin'), { metric: 'deckEdgeMargin', limit: 0, enabled: true });
+    assert.ok(!criteria.rules.some(rule => rule.metric === 'deckEdgeImmersion'));
+});
+
+test('text that is not JSON is rejected', () => {
+    assert.throws(() => parseProject('{ "format": '), /^Error: File is not valid JSON: /);
+});
+
+test('JSON that is not an object is rejected', () => {
+    for (let text of ['null', '42', '"project"', '[]']) {
+        assert.throws(() => parseProject(text), { message: 'File does not contain a project object.' });
+    }
+});
+
+test('an object in another format is rejected', () => {
+    const project = { ...currentProject(), format: 'something-else' };
+    assert.throws(() => parseProject(JSON.stringify(project)), { message: 'File is not a barge stability project.' });
+});
+
+test('a missing or invalid version is rejected', () => {
+    for (let version of [undefined, 0, 1.5, '12']) {
+        const project = { ...currentProject(), version };
+        assert.throws(() => parseProject(JSON.stringify(project)), { message: 'Project version is missing or invalid.' });
+    }
+});
+
+test('a version newer than this tool is rejected', () => {
+    const project = { ...currentProject(), version: PROJECT_VERSION + 1 };
+    assert.throws(() => parseProject(JSON.stringify(project)),
+        { message: `Project version ${PROJECT_VERSION + 1} was saved by a newer version of this tool.` });
+});
+
+test('invalid fields are rejected with every error listed', () => {
+    const project = currentProject();
+    project.items[0].length = -2;
+    project.items[0].color = 'red';
+    project.seabed.type = 'rocky';
+
+    assert.throws(() => parseProject(JSON.stringify(project)), {
+        message: 'Project file is invalid:\n' + [
+            'seabed.type must be one of none, flat, ramp',
+            'items[0].length must be a positive number',
+            'items[0].color must be a hex color like #ff6347'
+        ].join('\n')
+    });
+});
+
+test('a project without floats is rejected', () => {
+    const project = { ...currentProject(), floats: [] };
+    assert.throws(() => parseProject(JSON.stringify(project)), { message: 'Project file is invalid:\nfloats must be a non-empty list' });
+});
+
+test('an older project is validated after it is migrated', () => {
+    const project = savedBy(4);
+    project.floats[0].width = 0;
+    assert.throws(() => parseProject(JSON.stringify(project)), { message: 'Project file is invalid:\nfloats[0].width must be a positive number' });
+});
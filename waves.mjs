@@ -0,0 +1,48 @@
+import { Hydrostatics, waveLength } from './hydrostatics.mjs';
+
+// ========================================
+// WAVE RESPONSE
+// How the barge rides a regular wave, worked out quasi-statically: at evenly spaced moments over
+// one wave period the barge is floated in equilibrium on the wave surface as it is at that
+// moment. The barge's own inertia and damping are left out, so this is the response to waves
+// much longer than its natural roll and pitch periods; the dynamic simulation shows the rest.
+// Units are ft, lbs, seconds and radians, as in hydrostatics.mjs.
+// ========================================
+export const WAVE_RESPONSE_STEPS = 24;
+
+// description is a Hydrostatics description without a wave, and wave is { height, period,
+// heading } as in waveElevation(). Returns the equilibrium at each moment that has one, the
+// range of heel and trim over the period and the lowest freeboard, which is negative when the
+// deck gets wet. floating is false if the barge has no equilibrium at some moment.
+export function calculateWaveResponse(description, wave) {
+    const response = {
+        length: waveLength(wave.period),
+        points: [],
+        heel: { min: Infinity, max: -Infinity },
+        trim: { min: Infinity, max: -Infinity },
+        minFreeboard: Infinity,
+        floating: true
+    };
+
+    let guess = { tiltX: 0, tiltZ: 0, draft: 0 };
+    for (let i = 0; i < WAVE_RESPONSE_STEPS; i++) {
+        const time = wave.period * i / WAVE_RESPONSE_STEPS;
+        const hydrostatics = new Hydrostatics({ ...description, wave: { ...wave, time } });
+        const equilibrium = hydrostatics.solveEquilibrium(guess);
+        if (!equilibrium.converged || equilibrium.isSinking) {
+            response.floating = false;
+            continue;
+        }
+        guess = equilibrium;
+
+        const freeboard = hydrostatics.calculateMinDeckHeight(
+            hydrostatics.getWaterline(equilibrium.draft, equilibrium.tiltX, equilibrium.tiltZ));
+        response.points.push({ time, draft: equilibrium.draft, tiltX: equilibrium.tiltX, tiltZ: equilibrium.tiltZ, freeboard });
+        response.heel.min = Math.min(response.heel.min, equilibrium.tiltX);
+        response.heel.max = Math.max(response.heel.max, equilibrium.tiltX);
+        response.trim.min = Math.min(response.trim.min, equilibrium.tiltZ);
+        response.trim.max = Math.max(response.trim.max, equilibrium.tiltZ);
+        response.minFreeboard = Math.min(response.minFreeboard, freeboard);
+    }
+    return response;
+}